@@ -7,6 +7,8 @@ DIRS=(
   "migrate-container-packages-action"
   "migrate-npm-packages-action"
   "migrate-nuget-packages-action"
+  "migrate-maven-packages-action"
+  "migrate-rubygems-packages-action"
 )
 
 # Install dependencies in each directory
@@ -1,16 +1,23 @@
 import * as core from "@actions/core";
 import { Octokit } from "@octokit/rest";
 import { paginateRest } from "@octokit/plugin-paginate-rest";
+import { parsePatternList, matchesAnyPattern, parseDateCutoff, formatDiscoveryFilters } from "../../shared/utils.js";
 
 // Extend Octokit with pagination support
 const PaginatedOctokit = Octokit.plugin(paginateRest);
 
+// Key of packages_by_repo for packages without a linked repository, which no repository name can clash with
+const NO_REPO_KEY = "(none)";
+
+// Values of the visibility filter
+const VISIBILITIES = ["public", "private", "internal"];
+
 /**
  * Fetch all packages of a specific type for an organization
  * @param {Object} octokit - Authenticated Octokit instance
  * @param {string} org - Organization name
  * @param {string} packageType - Type of package (npm, docker, nuget)
- * @returns {Array} - List of packages with minimal required data
+ * @returns {Array} - List of packages with their repository, visibility, version count, dates and URL
  */
 async function fetchPackages(octokit, org, packageType) {
   try {
@@ -20,11 +27,16 @@ async function fetchPackages(octokit, org, packageType) {
       per_page: 100,
     });
 
-    // Only retain the essential fields needed by migration actions
+    // Retain the fields migration actions need plus the inventory data
     return packages.map((pkg) => ({
       name: pkg.name,
       type: packageType,
-      repository: pkg.repository ? { name: pkg.repository.name } : null,
+      repository: pkg.repository ? { name: pkg.repository.name, full_name: pkg.repository.full_name } : null,
+      visibility: pkg.visibility,
+      version_count: pkg.version_count,
+      created_at: pkg.created_at,
+      updated_at: pkg.updated_at,
+      html_url: pkg.html_url,
     }));
   } catch (err) {
     core.warning(`Error fetching ${packageType} packages: ${err.message}`);
@@ -36,10 +48,13 @@ async function fetchPackages(octokit, org, packageType) {
  * Filter packages based on repository name
  * @param {Array} packages - List of packages
  * @param {string} repoName - Repository name to filter by (undefined for no repo)
+ * @param {boolean} allRepos - Keep the packages of every repository, and those without one
  * @returns {Array} - Filtered list of packages
  */
-function filterPackagesByRepo(packages, repoName) {
-  if (!repoName) {
+function filterPackagesByRepo(packages, repoName, allRepos) {
+  if (allRepos) {
+    return packages;
+  } else if (!repoName) {
     // Return packages that don't have a repository or have null repository
     return packages.filter((pkg) => !pkg.repository || !pkg.repository.name);
   } else {
@@ -51,6 +66,93 @@ function filterPackagesByRepo(packages, repoName) {
   }
 }
 
+/**
+ * Read the include, exclude, visibility, updated_since and min_versions filters
+ * @returns {Object} - Parsed filters, see getFilterReason
+ */
+function getPackageFilters() {
+  const visibility = core
+    .getInput("visibility")
+    .split(",")
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  const invalidVisibility = visibility.find((value) => !VISIBILITIES.includes(value));
+  if (invalidVisibility) {
+    throw new Error(`Invalid visibility: ${invalidVisibility}. Options are: ${VISIBILITIES.join(", ")}`);
+  }
+
+  const minVersionsInput = core.getInput("min_versions").trim();
+  const minVersions = minVersionsInput ? Number(minVersionsInput) : null;
+  if (minVersions !== null && (!Number.isInteger(minVersions) || minVersions < 0)) {
+    throw new Error(`Invalid min_versions: ${minVersionsInput}. Use a whole number`);
+  }
+
+  return {
+    include: parsePatternList(core.getInput("include")),
+    exclude: parsePatternList(core.getInput("exclude")),
+    visibility,
+    updatedSince: parseDateCutoff(core.getInput("updated_since"), "updated_since"),
+    minVersions,
+  };
+}
+
+/**
+ * Check a package against the filters
+ * @returns {string|null} - Why the filters leave the package out, or null when it is kept
+ */
+function getFilterReason(pkg, filters) {
+  if (filters.include.length && !matchesAnyPattern(pkg.name, filters.include)) {
+    return "not matched by include";
+  }
+  if (matchesAnyPattern(pkg.name, filters.exclude)) {
+    return "matched by exclude";
+  }
+  if (filters.visibility.length && !filters.visibility.includes(pkg.visibility)) {
+    return `visibility is ${pkg.visibility}`;
+  }
+  if (filters.updatedSince && !(new Date(pkg.updated_at) >= filters.updatedSince)) {
+    return `last updated ${pkg.updated_at}`;
+  }
+  if (filters.minVersions !== null && (pkg.version_count || 0) < filters.minVersions) {
+    return `has ${pkg.version_count || 0} versions`;
+  }
+  return null;
+}
+
+/**
+ * Filter packages with the include, exclude, visibility, updated_since and min_versions filters
+ * @param {Array} packages - List of packages
+ * @param {Object} filters - Filters from getPackageFilters
+ * @returns {Array} - Filtered list of packages
+ */
+function filterPackages(packages, filters) {
+  return packages.filter((pkg) => {
+    const reason = getFilterReason(pkg, filters);
+    if (reason) {
+      core.debug(`Leaving out ${pkg.type} package ${pkg.name}: ${reason}`);
+    }
+    return !reason;
+  });
+}
+
+/**
+ * Group packages by repository name, then by type
+ * @param {Object} packagesByType - Packages keyed by type
+ * @returns {Object} - e.g. { "my-repo": { npm: [...], nuget: [...] }, "(none)": { npm: [...] } }
+ */
+function groupPackagesByRepo(packagesByType) {
+  const packagesByRepo = {};
+
+  for (const [type, packages] of Object.entries(packagesByType)) {
+    for (const pkg of packages) {
+      const repoKey = pkg.repository?.name || NO_REPO_KEY;
+      packagesByRepo[repoKey] ??= {};
+      (packagesByRepo[repoKey][type] ??= []).push(pkg);
+    }
+  }
+  return packagesByRepo;
+}
+
 /**
  * Main function to get and filter packages
  */
@@ -60,9 +162,29 @@ export async function run() {
     const sourceOrg = core.getInput("source_org", { required: true });
     const sourceAPIUrl = core.getInput("source_api_url", { required: true });
     const ghSourcePat = core.getInput("gh_source_pat", { required: true });
+    core.setSecret(ghSourcePat);
     const repoName = core.getInput("repo_name");
+    const allRepos = core.getInput("all_repos").toLowerCase() === "true";
+    if (allRepos && repoName) {
+      core.warning(`Ignoring repo_name ${repoName}: all_repos returns the packages of every repository`);
+    }
+    const scope = allRepos ? " across all repos" : repoName ? ` for repo ${repoName}` : " without repo";
     const packageTypesInput = core.getInput("package_types") || "npm, nuget, container";
     const packageTypes = packageTypesInput.split(",").map((type) => type.trim());
+    const filters = getPackageFilters();
+
+    // The filter set as applied, echoed to the outputs for the migration actions to record
+    const appliedFilters = {
+      repo_name: allRepos ? null : repoName || NO_REPO_KEY,
+      all_repos: allRepos,
+      package_types: packageTypes.filter(Boolean),
+      include: filters.include.map(({ pattern }) => pattern),
+      exclude: filters.exclude.map(({ pattern }) => pattern),
+      visibility: filters.visibility,
+      updated_since: filters.updatedSince?.toISOString() || null,
+      min_versions: filters.minVersions,
+    };
+    core.info(`Filters: ${formatDiscoveryFilters(appliedFilters)}`);
 
     // Create authenticated client
     const octokit = new PaginatedOctokit({
@@ -83,7 +205,7 @@ export async function run() {
       const allPackages = await fetchPackages(octokit, sourceOrg, type);
       core.debug(`Found ${allPackages.length} total ${type} packages`);
 
-      const filteredPackages = filterPackagesByRepo(allPackages, repoName);
+      const filteredPackages = filterPackages(filterPackagesByRepo(allPackages, repoName, allRepos), filters);
 
       // Store the filtered packages
       packagesByType[type] = filteredPackages;
@@ -95,13 +217,11 @@ export async function run() {
       core.setOutput(`${type}_packages`, packagesJson);
       core.setOutput(`${type}_count`, filteredPackages.length);
 
-      core.info(
-        `Found ${filteredPackages.length} ${type} packages${repoName ? ` for repo ${repoName}` : " without repo"}`
-      );
+      core.info(`Found ${filteredPackages.length} ${type} packages${scope}`);
     }
 
     if (totalPackages === 0) {
-      core.info(`No packages found${repoName ? ` for repo ${repoName}` : " without repo"} in ${sourceOrg}`);
+      core.info(`No packages found${scope} in ${sourceOrg}`);
     } else {
       core.info(`Total packages found: ${totalPackages}`);
     }
@@ -111,6 +231,14 @@ export async function run() {
     core.debug(`All packages JSON: ${allPackagesJson}`);
     core.setOutput("all_packages", allPackagesJson);
     core.setOutput("total_count", totalPackages);
+
+    // Set outputs keyed by repository, so one matrix job per repository can pick its packages
+    const packagesByRepo = groupPackagesByRepo(packagesByType);
+    const repos = Object.keys(packagesByRepo).sort();
+    core.info(`Packages found in ${repos.length} repositories: ${repos.join(", ") || "none"}`);
+    core.setOutput("packages_by_repo", JSON.stringify(packagesByRepo));
+    core.setOutput("repos", JSON.stringify(repos));
+    core.setOutput("filters", JSON.stringify(appliedFilters));
   } catch (error) {
     core.setFailed(`Action failed: ${error.message}`);
   }
@@ -0,0 +1,141 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { run } from "../src/main.js";
+
+const PACKAGES = {
+  npm: [
+    { name: "platform-api", repository: { name: "platform" }, visibility: "private", version_count: 12 },
+    { name: "platform-web", repository: { name: "Platform" }, visibility: "internal", version_count: 3 },
+    { name: "platform-legacy", repository: { name: "platform" }, visibility: "private", version_count: 40 },
+    { name: "tools", repository: null, visibility: "public", version_count: 1 },
+  ],
+  nuget: [{ name: "Platform.Client", repository: { name: "platform" }, visibility: "private", version_count: 5 }],
+};
+
+let server;
+let tempDir;
+let outputPath;
+const savedEnv = { ...process.env };
+
+beforeEach(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const packages = (PACKAGES[url.searchParams.get("package_type")] || []).map((pkg) => ({
+      ...pkg,
+      repository: pkg.repository && { ...pkg.repository, full_name: `acme/${pkg.repository.name}` },
+      created_at: "2023-01-01T00:00:00Z",
+      updated_at: pkg.name === "platform-legacy" ? "2023-06-01T00:00:00Z" : "2024-06-01T00:00:00Z",
+      html_url: `https://github.com/orgs/acme/packages/${pkg.name}`,
+    }));
+    res.writeHead(url.pathname === "/orgs/acme/packages" ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(packages));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "get-packages-"));
+  outputPath = path.join(tempDir, "output");
+  fs.writeFileSync(outputPath, "");
+  Object.assign(process.env, {
+    GITHUB_OUTPUT: outputPath,
+    INPUT_SOURCE_ORG: "acme",
+    INPUT_SOURCE_API_URL: `http://127.0.0.1:${server.address().port}`,
+    INPUT_GH_SOURCE_PAT: "pat",
+    INPUT_PACKAGE_TYPES: "npm, nuget",
+  });
+});
+
+afterEach(async () => {
+  process.env = { ...savedEnv };
+  process.exitCode = undefined;
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function runWith(inputs) {
+  for (const [name, value] of Object.entries(inputs)) {
+    process.env[`INPUT_${name.toUpperCase()}`] = value;
+  }
+  await run();
+
+  const outputs = {};
+  const content = fs.readFileSync(outputPath, "utf8");
+  for (const [, name, , value] of content.matchAll(/^(\w+)<<(\S+)\n([\s\S]*?)\n\2$/gm)) {
+    outputs[name] = value;
+  }
+  return outputs;
+}
+
+function names(outputs, type) {
+  return JSON.parse(outputs[`${type}_packages`]).map((pkg) => pkg.name);
+}
+
+test("keeps the packages of one repository, matched case-insensitively", async () => {
+  const outputs = await runWith({ repo_name: "PLATFORM" });
+
+  assert.deepEqual(names(outputs, "npm"), ["platform-api", "platform-web", "platform-legacy"]);
+  assert.deepEqual(names(outputs, "nuget"), ["Platform.Client"]);
+  assert.equal(outputs.total_count, "4");
+});
+
+test("keeps the packages without a repository when no repository is given", async () => {
+  const outputs = await runWith({});
+
+  assert.deepEqual(names(outputs, "npm"), ["tools"]);
+  assert.deepEqual(names(outputs, "nuget"), []);
+  assert.equal(JSON.parse(outputs.filters).repo_name, "(none)");
+});
+
+test("groups the packages of every repository by repository and type", async () => {
+  const outputs = await runWith({ all_repos: "true" });
+
+  assert.deepEqual(JSON.parse(outputs.repos), ["(none)", "Platform", "platform"]);
+  const packagesByRepo = JSON.parse(outputs.packages_by_repo);
+  assert.deepEqual(
+    packagesByRepo.platform.npm.map((pkg) => pkg.name),
+    ["platform-api", "platform-legacy"]
+  );
+  assert.deepEqual(
+    packagesByRepo.platform.nuget.map((pkg) => pkg.name),
+    ["Platform.Client"]
+  );
+  assert.deepEqual(packagesByRepo["(none)"].npm[0], {
+    name: "tools",
+    type: "npm",
+    repository: null,
+    visibility: "public",
+    version_count: 1,
+    created_at: "2023-01-01T00:00:00Z",
+    updated_at: "2024-06-01T00:00:00Z",
+    html_url: "https://github.com/orgs/acme/packages/tools",
+  });
+});
+
+test("applies the include and exclude patterns", async () => {
+  const outputs = await runWith({ all_repos: "true", include: "platform-*, /^tools$/", exclude: "*-legacy" });
+
+  assert.deepEqual(names(outputs, "npm"), ["platform-api", "platform-web", "tools"]);
+  assert.deepEqual(names(outputs, "nuget"), []);
+  assert.deepEqual(JSON.parse(outputs.filters).include, ["platform-*", "/^tools$/"]);
+});
+
+test("applies the visibility, updated_since and min_versions filters", async () => {
+  const outputs = await runWith({
+    all_repos: "true",
+    visibility: "Private, internal",
+    updated_since: "2024-01-01",
+    min_versions: "4",
+  });
+
+  assert.deepEqual(names(outputs, "npm"), ["platform-api"]);
+  assert.deepEqual(names(outputs, "nuget"), ["Platform.Client"]);
+});
+
+test("fails on an invalid filter", async () => {
+  const outputs = await runWith({ all_repos: "true", visibility: "secret" });
+
+  assert.equal(process.exitCode, 1);
+  assert.deepEqual(outputs, {});
+});
@@ -0,0 +1,216 @@
+import * as core from "@actions/core";
+import { formatPlatform, selectPlatformManifests } from "./platforms.js";
+import { computeDigest, isIndexMediaType } from "./registry.js";
+
+/**
+ * Track the blobs and manifests known to exist in the target registry during a run, so
+ * content shared between packages and references is uploaded once and then mounted or skipped
+ * @returns {Object} - Index shared by every copy of the run
+ */
+export function createBlobIndex() {
+  return {
+    // Blob digest -> target repositories holding it
+    blobs: new Map(),
+    // "repository@source digest" -> manifest copied for it, kept to create tags without refetching it
+    manifests: new Map(),
+    // Blob digest -> transfer in progress
+    transfers: new Map(),
+  };
+}
+
+/**
+ * Get a blob into the target repository: mount it from a target repository that already
+ * holds it, skip it when the repository has it, or upload it from the source
+ */
+async function transferBlob(job, descriptor, holders) {
+  const { source, target, sourceRepository, targetRepository, stats } = job;
+  const [mountFrom] = holders;
+
+  if (mountFrom && (await target.mountBlob(targetRepository, descriptor.digest, mountFrom))) {
+    core.debug(`Mounted blob ${descriptor.digest} from ${mountFrom} into ${targetRepository}`);
+    stats.bytesSaved += descriptor.size;
+  } else if (await target.hasBlob(targetRepository, descriptor.digest, "pull,push")) {
+    core.debug(`Blob ${descriptor.digest} already present in ${targetRepository}`);
+    stats.bytesSaved += descriptor.size;
+  } else {
+    const stream = await source.getBlobStream(sourceRepository, descriptor.digest);
+    await target.pushBlob(targetRepository, descriptor, stream);
+    stats.bytesUploaded += descriptor.size;
+  }
+
+  holders.add(targetRepository);
+}
+
+/**
+ * Copy one blob at most once per target repository, even when several references
+ * sharing it are copied at the same time
+ */
+async function copyBlob(job, descriptor) {
+  const { index, targetRepository, stats } = job;
+
+  while (index.transfers.has(descriptor.digest)) {
+    await index.transfers.get(descriptor.digest).catch(() => {});
+  }
+
+  const holders = index.blobs.get(descriptor.digest) || new Set();
+  index.blobs.set(descriptor.digest, holders);
+  if (holders.has(targetRepository)) {
+    stats.bytesSaved += descriptor.size;
+    return;
+  }
+
+  const transfer = transferBlob(job, descriptor, holders);
+  index.transfers.set(descriptor.digest, transfer);
+  try {
+    await transfer;
+  } finally {
+    index.transfers.delete(descriptor.digest);
+  }
+}
+
+/**
+ * Copy the config and layers of an image manifest. Foreign layers that live outside the
+ * registry (descriptors with urls) are left where they are, as skopeo does.
+ */
+async function copyImageBlobs(job, manifestJson) {
+  const descriptors = [manifestJson.config, ...(manifestJson.layers || [])].filter(
+    (descriptor) => descriptor && !descriptor.urls?.length
+  );
+
+  for (const descriptor of descriptors) {
+    await copyBlob(job, descriptor);
+  }
+}
+
+/**
+ * Drop the index entries of unselected platforms. The rewritten index has a new digest,
+ * so it is pushed by that digest instead of the source one. The rewrite is deterministic,
+ * the same source index and platforms always give the same digest.
+ * @returns {Object} - Manifest to push, unchanged when every entry is selected
+ */
+function filterIndex(job, manifest, manifestJson) {
+  const selected = selectPlatformManifests(manifestJson.manifests || [], job.platforms);
+  if (selected.length === (manifestJson.manifests || []).length) {
+    return manifest;
+  }
+  if (!selected.some((descriptor) => descriptor.platform && descriptor.platform.os !== "unknown")) {
+    throw new Error(
+      `No manifest of ${manifest.digest} matches platforms ${job.platforms.map(formatPlatform).join(", ")}`
+    );
+  }
+
+  const data = Buffer.from(JSON.stringify({ ...manifestJson, manifests: selected }));
+  return { mediaType: manifest.mediaType, digest: computeDigest(data), data };
+}
+
+async function copyManifest(job, reference) {
+  const { source, target, index, sourceRepository, targetRepository } = job;
+  const copied = index.manifests.get(`${targetRepository}@${reference}`);
+  if (copied) {
+    core.debug(`Manifest ${reference} already copied to ${targetRepository}`);
+    return copied.digest;
+  }
+
+  const sourceManifest = await source.getManifest(sourceRepository, reference);
+  const manifestJson = JSON.parse(sourceManifest.data.toString("utf8"));
+
+  if (manifestJson.schemaVersion !== 2) {
+    throw new Error(`Unsupported manifest schema version ${manifestJson.schemaVersion} for ${reference}`);
+  }
+
+  let manifest = sourceManifest;
+  if (isIndexMediaType(sourceManifest.mediaType)) {
+    manifest = filterIndex(job, sourceManifest, manifestJson);
+    if (manifest !== sourceManifest) {
+      job.stats.rewrittenIndexes.push({ sourceDigest: sourceManifest.digest, targetDigest: manifest.digest });
+      core.info(
+        `Index ${sourceManifest.digest} reduced to ${
+          JSON.parse(manifest.data.toString("utf8")).manifests.length
+        } of ${manifestJson.manifests.length} manifests, its digest becomes ${manifest.digest}`
+      );
+    }
+    for (const child of JSON.parse(manifest.data.toString("utf8")).manifests || []) {
+      await copyManifest(job, child.digest);
+    }
+  } else {
+    await copyImageBlobs(job, manifestJson);
+  }
+
+  // A rewritten index cannot be stored under the source digest
+  const targetReference = manifest === sourceManifest || !reference.startsWith("sha256:") ? reference : manifest.digest;
+  const pushedDigest = await target.putManifest(targetRepository, targetReference, manifest);
+  if (pushedDigest !== manifest.digest) {
+    throw new Error(`Digest changed while copying ${reference}: ${manifest.digest} became ${pushedDigest}`);
+  }
+
+  index.manifests.set(`${targetRepository}@${sourceManifest.digest}`, manifest);
+  core.debug(`Copied manifest ${manifest.digest} (${manifest.mediaType}) to ${targetRepository}`);
+  return manifest.digest;
+}
+
+/**
+ * Find the manifest a source digest was copied to. Manifests copied during this run come from
+ * the index. Otherwise the digest was copied by an earlier run, and when the platforms filter
+ * may have rewritten it, the rewrite is redone from the source to get the digest it was pushed by.
+ */
+async function resolveTargetManifest(job, digest) {
+  const { source, target, index, sourceRepository, targetRepository, platforms } = job;
+  const copied = index.manifests.get(`${targetRepository}@${digest}`);
+  if (copied) return copied;
+
+  if (platforms) {
+    const sourceManifest = await source.getManifest(sourceRepository, digest);
+    if (isIndexMediaType(sourceManifest.mediaType)) {
+      const manifest = filterIndex(job, sourceManifest, JSON.parse(sourceManifest.data.toString("utf8")));
+      if (manifest !== sourceManifest) {
+        core.debug(`Index ${digest} was copied to ${targetRepository} as ${manifest.digest}`);
+        return target.getManifest(targetRepository, manifest.digest);
+      }
+    }
+  }
+  return target.getManifest(targetRepository, digest);
+}
+
+/**
+ * Point a tag at a manifest that is already in the target repository by PUTting the same
+ * manifest bytes under the tag name. When the platforms filter rewrote the manifest, in this
+ * run or an earlier one, the tag points at the rewritten one.
+ * @param {Object} source - Source registry client, read only to redo a platforms rewrite
+ * @param {Object} target - Target registry client
+ * @param {string} sourceRepository - Repository in the source registry (org/name)
+ * @param {string} targetRepository - Repository in the target registry (org/name)
+ * @param {string} digest - Source digest of the manifest the tag points to
+ * @param {string} tag - Tag to create
+ * @param {Object} index - Blob index of the run, see createBlobIndex
+ * @param {Array|null} platforms - Platforms filter the digest was copied with, see copyImage
+ */
+export async function tagImage(source, target, sourceRepository, targetRepository, digest, tag, index, platforms) {
+  const job = { source, target, index, sourceRepository, targetRepository, platforms };
+  const manifest = await resolveTargetManifest(job, digest);
+
+  const pushedDigest = await target.putManifest(targetRepository, tag, manifest);
+  if (pushedDigest !== manifest.digest) {
+    throw new Error(`Tag ${tag} points to ${pushedDigest} instead of ${manifest.digest}`);
+  }
+}
+
+/**
+ * Copy a manifest and everything it references, digest for digest. Indexes are copied with
+ * all of their platform manifests, the equivalent of `skopeo copy --preserve-digests --all`,
+ * unless a platforms filter is given; indexes it shrinks get a new digest.
+ * @param {Object} source - Source registry client
+ * @param {Object} target - Target registry client
+ * @param {string} sourceRepository - Repository in the source registry (org/name)
+ * @param {string} targetRepository - Repository in the target registry (org/name)
+ * @param {string} reference - Tag or digest to copy
+ * @param {Object} index - Blob index of the run, see createBlobIndex
+ * @param {Array|null} platforms - Platforms to copy from indexes, null for all (see parsePlatforms)
+ * @returns {Promise<{digest: string, bytesUploaded: number, bytesSaved: number, rewrittenIndexes: Array}>}
+ */
+export async function copyImage(source, target, sourceRepository, targetRepository, reference, index, platforms) {
+  const stats = { bytesUploaded: 0, bytesSaved: 0, rewrittenIndexes: [] };
+  const job = { source, target, index, sourceRepository, targetRepository, platforms, stats };
+
+  const digest = await copyManifest(job, reference);
+  return { digest, ...stats };
+}
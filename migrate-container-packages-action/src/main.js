@@ -1,7 +1,9 @@
 import * as core from "@actions/core";
 import { parsePackagesInput, migratePackagesWithContext, setupContext } from "../../shared/utils.js";
-import { checkDockerInstallation, setupSkopeo } from "./docker.js";
+import { createBlobIndex } from "./copy.js";
 import { migratePackage } from "./migration.js";
+import { parsePlatforms } from "./platforms.js";
+import { createRegistryClient } from "./registry.js";
 
 /**
  * Main function
@@ -21,17 +23,17 @@ export async function run() {
 
     core.info(`Found ${packages.length} container packages to migrate`);
 
-    // Set up required dependencies
-    core.info("Checking Docker installation");
-    checkDockerInstallation();
-    core.info("Setting up Skopeo");
-    if (!setupSkopeo()) {
-      throw new Error("Failed to set up Skopeo. Migration cannot continue.");
-    }
-
     // Set up migration context and execute migrations
     core.info("Setting up migration context");
-    const context = setupContext(core, "container");
+    const baseContext = setupContext(core, "container");
+    const context = {
+      ...baseContext,
+      sourceRegistry: createRegistryClient(baseContext.sourceRegistryUrl, baseContext.ghSourcePat),
+      targetRegistry: createRegistryClient(baseContext.targetRegistryUrl, baseContext.ghTargetPat),
+      // Shared by every package so layers common to several images are uploaded once
+      blobIndex: createBlobIndex(),
+      platforms: parsePlatforms(core.getInput("platforms", { required: false })),
+    };
     core.info("Starting package migration");
     await migratePackagesWithContext(packages, context, migratePackage, "container");
     core.info("Container package migration completed");
@@ -1,12 +1,54 @@
 import * as core from "@actions/core";
-import { withRetry, fetchPackageVersions, createPackageResult, getRegistryUrl } from "../../shared/utils.js";
-import { executeSkopeoCommand } from "./docker.js";
+import {
+  withRetry,
+  fetchPackageVersions,
+  createPackageResult,
+  getRegistryUrl,
+  isMigrationItemCompleted,
+  recordMigrationItem,
+  fetchTargetVersions,
+  createPlanEntry,
+  PLAN_ACTIONS,
+  formatPackageName,
+  mapPackageName,
+  filterVersions,
+} from "../../shared/utils.js";
+import { copyImage, tagImage } from "./copy.js";
+import { linkReferrers, orderBySubject } from "./referrers.js";
+import { getRegistryHost } from "./registry.js";
 
 /**
  * Build full image reference
  */
-function buildImageReference(registry, org, packageName, reference, isDigest) {
-  return `docker://${registry}/${org}/${packageName}${isDigest ? "@" : ":"}${reference}`;
+function buildImageReference(registry, repository, reference, isDigest) {
+  return `docker://${getRegistryHost(registry)}/${repository}${isDigest ? "@" : ":"}${reference}`;
+}
+
+/**
+ * Get the source and target repositories (org/name) of a package, the target one
+ * renamed by the package mapping
+ */
+function getRepositories(packageName, context) {
+  return {
+    sourceRepository: formatPackageName(packageName, context.sourceOrg, "container"),
+    targetRepository: formatPackageName(packageName, context.targetOrg, "container", context.packageMapping),
+  };
+}
+
+/**
+ * Build the source and target image references of a tag or digest
+ */
+function getReferenceCoordinates(packageName, reference, context, isDigest) {
+  const { sourceApiUrl, sourceRegistryUrl, targetApiUrl, targetRegistryUrl } = context;
+  const { sourceRepository, targetRepository } = getRepositories(packageName, context);
+
+  const sourceRegistry = getRegistryUrl("container", sourceApiUrl, sourceRegistryUrl);
+  const targetRegistry = getRegistryUrl("container", targetApiUrl, targetRegistryUrl);
+
+  return {
+    sourceImage: buildImageReference(sourceRegistry, sourceRepository, reference, isDigest),
+    targetImage: buildImageReference(targetRegistry, targetRepository, reference, isDigest),
+  };
 }
 
 /**
@@ -29,6 +71,7 @@ function parseVersions(versions) {
       ...tags.map((tag) => ({
         reference: tag,
         isDigest: false,
+        digest: version.name,
       }))
     );
     tags.forEach((tag) => core.debug(`Added tag: ${tag}`));
@@ -43,11 +86,82 @@ function parseVersions(versions) {
 }
 
 /**
- * Track migration results for a single reference
+ * Apply the version filters to a package's references. Signatures, SBOMs and attestations are
+ * not filtered themselves, they follow the image they are attached to.
+ * @param {Array} versions - Package versions
+ * @param {Array} references - References from linkReferrers
+ * @param {Object} filters - Filters from getVersionFilters
+ * @returns {{references: Array, skipped: Array<{version: string, reason: string}>}} - The
+ * references to migrate, and the digests filtered out with the reason
  */
-function updateReferenceResults(results, success, isDigest) {
+function applyVersionFilters(versions, references, filters) {
+  // Artifact digest -> subject digest
+  const subjects = new Map(
+    references.filter((ref) => ref.isDigest && ref.subject).map((ref) => [ref.reference, ref.subject])
+  );
+  const { versions: kept, skipped } = filterVersions(
+    versions.filter((version) => !subjects.has(version.name)),
+    filters
+  );
+
+  const removed = new Set(skipped.map(({ version }) => version));
+  const keptTags = new Map(kept.map((version) => [version.name, new Set(version.metadata?.container?.tags || [])]));
+  const getImage = (digest) => {
+    const seen = new Set();
+    while (subjects.has(digest) && !seen.has(digest)) {
+      seen.add(digest);
+      digest = subjects.get(digest);
+    }
+    return digest;
+  };
+
+  const filtered = references.filter((ref) => {
+    const digest = ref.isDigest ? ref.reference : ref.digest;
+    if (ref.subject) return !removed.has(getImage(digest));
+    if (removed.has(digest)) return false;
+    return ref.isDigest || !keptTags.has(digest) || keptTags.get(digest).has(ref.reference);
+  });
+
+  if (filtered.length < references.length) {
+    core.info(
+      `Leaving out ${references.length - filtered.length} references per the version filters (${skipped.length} digests filtered out)`
+    );
+  }
+  return { references: filtered, skipped };
+}
+
+/**
+ * Index the digests and tags that already exist in the target package
+ */
+function indexTargetVersions(targetVersions) {
+  const digests = new Set();
+  const tags = new Map();
+
+  for (const version of targetVersions) {
+    digests.add(version.name);
+    (version.metadata?.container?.tags || []).forEach((tag) => tags.set(tag, version.name));
+  }
+
+  return { digests, tags };
+}
+
+/**
+ * Check whether a reference already exists in the target. A tag only counts when it
+ * points at the same digest as in the source.
+ */
+function isReferencePresent(existing, { reference, isDigest, digest }) {
+  return isDigest ? existing.digests.has(reference) : existing.tags.get(reference) === digest;
+}
+
+/**
+ * Track migration results for a single reference. Signatures, SBOMs and attestations
+ * are counted as artifacts rather than as digests or tags.
+ */
+function updateReferenceResults(results, success, { isDigest, subject }) {
   success ? results.successCount++ : results.failureCount++;
-  if (success) {
+  if (subject) {
+    success ? results.artifactsSucceeded++ : results.artifactsFailed++;
+  } else if (success) {
     isDigest ? results.digestsSucceeded++ : results.tagsSucceeded++;
   } else {
     isDigest ? results.digestsFailed++ : results.tagsFailed++;
@@ -55,48 +169,148 @@ function updateReferenceResults(results, success, isDigest) {
 }
 
 /**
- * Performs the actual image migration operation
+ * Performs the actual image migration operation. Errors are thrown so withRetry can retry them.
  */
-function performImageMigration(packageName, reference, context, isDigest) {
-  const {
-    sourceOrg,
-    sourceApiUrl,
-    sourceRegistryUrl,
-    targetOrg,
-    targetApiUrl,
-    targetRegistryUrl,
-    ghSourcePat,
-    ghTargetPat,
-  } = context;
-
-  const sourceRegistry = getRegistryUrl("container", sourceApiUrl, sourceRegistryUrl);
-  const targetRegistry = getRegistryUrl("container", targetApiUrl, targetRegistryUrl);
-
-  const sourceImage = buildImageReference(sourceRegistry, sourceOrg, packageName, reference, isDigest);
-  const targetImage = buildImageReference(targetRegistry, targetOrg, packageName, reference, isDigest);
+async function performImageMigration(packageName, reference, context, isDigest, results) {
+  const { sourceRegistry, targetRegistry, blobIndex, platforms } = context;
+  const { sourceRepository, targetRepository } = getRepositories(packageName, context);
+  const { sourceImage, targetImage } = getReferenceCoordinates(packageName, reference, context, isDigest);
 
   const referencePrefix = isDigest ? "@" : ":";
   core.info(`Migrating ${packageName}${referencePrefix}${reference}`);
   core.debug(`Source image: ${sourceImage}`);
   core.debug(`Target image: ${targetImage}`);
 
-  const skopeoCommand = `skopeo copy --preserve-digests --all --src-creds USERNAME:${ghSourcePat} --dest-creds USERNAME:${ghTargetPat} ${sourceImage} ${targetImage}`;
+  const { digest, bytesUploaded, bytesSaved, rewrittenIndexes } = await copyImage(
+    sourceRegistry,
+    targetRegistry,
+    sourceRepository,
+    targetRepository,
+    reference,
+    blobIndex,
+    platforms
+  );
+  results.bytesSaved += bytesSaved;
+  results.rewrittenIndexes.push(...rewrittenIndexes);
+  core.info(
+    `Successfully migrated ${packageName}${referencePrefix}${reference} (${digest}): ${bytesUploaded} bytes uploaded, ${bytesSaved} bytes reused`
+  );
+  return true;
+}
 
-  const success = executeSkopeoCommand(skopeoCommand, packageName, reference);
+/**
+ * Create a tag in the target by pointing it at its digest, which the digest pass has already copied
+ */
+async function performTagMigration(packageName, ref, context) {
+  const { sourceRegistry, targetRegistry, blobIndex, platforms } = context;
+  const { sourceRepository, targetRepository } = getRepositories(packageName, context);
+  const { reference: tag, digest } = ref;
 
-  if (success) {
-    core.info(`Successfully migrated ${packageName}${referencePrefix}${reference}`);
-  } else {
-    core.error(`Failed to migrate ${packageName}${referencePrefix}${reference}`);
+  core.info(`Tagging ${packageName}@${digest} as ${tag}`);
+  await tagImage(sourceRegistry, targetRegistry, sourceRepository, targetRepository, digest, tag, blobIndex, platforms);
+  core.info(`Successfully migrated ${packageName}:${tag}`);
+  return true;
+}
+
+/**
+ * Report a tag or digest that still failed after its retries
+ */
+function reportReferenceFailure(packageName, ref, err, context) {
+  const { reference, isDigest, digest } = ref;
+  const referenceKey = `${isDigest ? "@" : ":"}${reference}`;
+
+  if (err.statusCode === 401 || err.statusCode === 403) {
+    core.error(`Failed to authenticate with registry for ${packageName}${referenceKey}`);
+  } else if (err.statusCode === 404 && isDigest) {
+    core.warning(`Image not found: ${packageName}${referenceKey}`);
+  } else if (err.statusCode === 404) {
+    const { targetRepository } = getRepositories(packageName, context);
+    core.warning(`Manifest ${digest} for tag ${reference} is missing from ${targetRepository}`);
+  }
+  core.error(`Failed to migrate ${packageName}${referenceKey}: ${err.message}`);
+}
+
+/**
+ * Migrate a single tag or digest, unless it is already done or this is a dry run
+ */
+async function migrateReference(packageName, ref, context, existing, results) {
+  const { reference, isDigest } = ref;
+  const referenceKey = `${isDigest ? "@" : ":"}${reference}`;
+  const { sourceImage, targetImage } = getReferenceCoordinates(packageName, reference, context, isDigest);
+
+  if (isMigrationItemCompleted(context.journal, packageName, referenceKey)) {
+    core.info(`Skipping ${packageName}${referenceKey}, already migrated by a previous run`);
+    results.resumedCount++;
+    results.plan.push(createPlanEntry(referenceKey, sourceImage, targetImage, PLAN_ACTIONS.RESUMED));
+    return;
+  }
+
+  if (isReferencePresent(existing, ref)) {
+    core.info(`Skipping ${packageName}${referenceKey}, already present in ${context.targetOrg}`);
+    recordMigrationItem(context.journal, packageName, referenceKey, "completed");
+    results.alreadyPresentCount++;
+    results.plan.push(createPlanEntry(referenceKey, sourceImage, targetImage, PLAN_ACTIONS.ALREADY_PRESENT));
+    return;
+  }
+
+  if (context.dryRun) {
+    results.plan.push(createPlanEntry(referenceKey, sourceImage, targetImage));
+    return;
+  }
+
+  // A tag cannot point at a digest that is not in the target: it fails without an attempt,
+  // and the next run retries both
+  if (!isDigest && results.failedDigests.has(ref.digest)) {
+    const digestError = results.failedDigests.get(ref.digest);
+    core.error(`Failed to migrate ${packageName}${referenceKey}: digest ${ref.digest} failed (${digestError})`);
+    recordMigrationItem(context.journal, packageName, referenceKey, "failed");
+    updateReferenceResults(results, false, ref);
+    return;
   }
 
-  return success;
+  recordMigrationItem(context.journal, packageName, referenceKey, "pending");
+  const success = await context.workerPool.run(() =>
+    withRetry(
+      () =>
+        isDigest
+          ? performImageMigration(packageName, reference, context, isDigest, results)
+          : performTagMigration(packageName, ref, context),
+      {
+        onRetry: (error, attempt) => {
+          const referenceType = isDigest ? "digest" : "tag";
+          core.info(
+            `Retry attempt ${attempt} for ${packageName}${referenceKey} (${referenceType}). Error: ${error.message}`
+          );
+        },
+      }
+    ).catch((err) => {
+      reportReferenceFailure(packageName, ref, err, context);
+      if (isDigest) results.failedDigests.set(reference, err.message);
+      return false;
+    })
+  );
+  recordMigrationItem(context.journal, packageName, referenceKey, success ? "completed" : "failed");
+
+  updateReferenceResults(results, success, ref);
 }
 
 /**
- * Migrate a container package's references (both tags and digests)
+ * Migrate a set of references: content once per digest first, then the tags pointing at it.
+ * Tags of digests that failed are not attempted and count as failed.
  */
-async function migrateReferences(packageName, references, context) {
+async function migrateDigestsThenTags(packageName, references, context, existing, results) {
+  const digests = references.filter((ref) => ref.isDigest);
+  const tags = references.filter((ref) => !ref.isDigest);
+  await Promise.all(digests.map((ref) => migrateReference(packageName, ref, context, existing, results)));
+  await Promise.all(tags.map((ref) => migrateReference(packageName, ref, context, existing, results)));
+}
+
+/**
+ * Migrate a container package's references. Content is copied once per digest, then
+ * each tag is created from the manifest already in the target. Signatures, SBOMs and
+ * attestations follow once their subject is in place.
+ */
+async function migrateReferences(packageName, references, context, existing) {
   const results = {
     successCount: 0,
     failureCount: 0,
@@ -104,22 +318,24 @@ async function migrateReferences(packageName, references, context) {
     digestsFailed: 0,
     tagsSucceeded: 0,
     tagsFailed: 0,
+    artifactsSucceeded: 0,
+    artifactsFailed: 0,
+    resumedCount: 0,
+    alreadyPresentCount: 0,
+    bytesSaved: 0,
+    rewrittenIndexes: [],
+    // Source digest -> error of its failed copy
+    failedDigests: new Map(),
+    plan: [],
   };
 
   core.info(`Starting migration of ${references.length} references for package ${packageName}`);
 
-  for (const { reference, isDigest } of references) {
-    const success = await withRetry(() => performImageMigration(packageName, reference, context, isDigest), {
-      onRetry: (error, attempt) => {
-        const referenceType = isDigest ? "digest" : "tag";
-        const referencePrefix = isDigest ? "@" : ":";
-        core.info(
-          `Retry attempt ${attempt} for ${packageName}${referencePrefix}${reference} (${referenceType}). Error: ${error.message}`
-        );
-      },
-    });
+  const images = references.filter((ref) => !ref.subject);
+  await migrateDigestsThenTags(packageName, images, context, existing, results);
 
-    updateReferenceResults(results, success, isDigest);
+  for (const batch of orderBySubject(references.filter((ref) => ref.subject))) {
+    await migrateDigestsThenTags(packageName, batch, context, existing, results);
   }
 
   core.info(`Migration results for ${packageName}:
@@ -128,7 +344,13 @@ async function migrateReferences(packageName, references, context) {
     Digests Succeeded: ${results.digestsSucceeded}
     Digests Failed: ${results.digestsFailed}
     Tags Succeeded: ${results.tagsSucceeded}
-    Tags Failed: ${results.tagsFailed}`);
+    Tags Failed: ${results.tagsFailed}
+    Artifacts Succeeded: ${results.artifactsSucceeded}
+    Artifacts Failed: ${results.artifactsFailed}
+    Already Present: ${results.alreadyPresentCount}
+    Resumed: ${results.resumedCount}
+    Bytes Saved: ${results.bytesSaved}
+    Indexes Rewritten: ${results.rewrittenIndexes.length}`);
 
   return results;
 }
@@ -154,8 +376,12 @@ export async function migratePackage(pkg, context) {
   const { octokitSource, sourceOrg } = context;
   const packageName = pkg.name;
   const repoName = pkg.repository?.name || "unknown";
+  const targetPackageName = mapPackageName(packageName, context.packageMapping);
 
   core.info(`Migrating container package: ${packageName} from repo: ${repoName}`);
+  if (targetPackageName !== packageName) {
+    core.info(`Copying ${packageName} to ${targetPackageName} per the package mapping`);
+  }
 
   const versions = await fetchPackageVersions(octokitSource, sourceOrg, packageName, "container");
   if (!versions.length) {
@@ -164,13 +390,34 @@ export async function migratePackage(pkg, context) {
   }
   core.info(`Found ${versions.length} versions for package ${packageName}`);
 
-  const references = parseVersions(versions);
-  const results = await migrateReferences(packageName, references, context);
+  const { references, skipped } = applyVersionFilters(
+    versions,
+    await linkReferrers(packageName, parseVersions(versions), context),
+    context.versionFilters
+  );
+  const existing = indexTargetVersions(await fetchTargetVersions(context, packageName, "container"));
+  const results = await migrateReferences(packageName, references, context, existing);
+
+  if (context.dryRun) {
+    for (const { version, reason } of skipped) {
+      const { sourceImage, targetImage } = getReferenceCoordinates(packageName, version, context, true);
+      results.plan.push(createPlanEntry(`@${version}`, sourceImage, targetImage, PLAN_ACTIONS.FILTERED, reason));
+    }
+  }
 
   return createPackageResult(packageName, results.successCount, results.failureCount, {
+    targetPackage: targetPackageName,
+    resumed: results.resumedCount,
+    alreadyPresent: results.alreadyPresentCount,
+    skippedVersions: skipped,
+    plan: context.dryRun ? results.plan : undefined,
     digestsSucceeded: results.digestsSucceeded,
     digestsFailed: results.digestsFailed,
     tagsSucceeded: results.tagsSucceeded,
     tagsFailed: results.tagsFailed,
+    artifactsSucceeded: results.artifactsSucceeded,
+    artifactsFailed: results.artifactsFailed,
+    bytesSaved: results.bytesSaved,
+    rewrittenIndexes: results.rewrittenIndexes,
   });
 }
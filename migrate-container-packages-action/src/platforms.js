@@ -0,0 +1,57 @@
+/**
+ * Parse the platforms input (e.g. "linux/amd64,linux/arm/v7")
+ * @param {string} platformsInput - Comma separated os/architecture[/variant] list
+ * @returns {Array|null} - Platforms to copy, or null to copy all of them
+ */
+export function parsePlatforms(platformsInput) {
+  const platforms = (platformsInput || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [os, architecture, variant] = entry.split("/");
+      if (!os || !architecture) {
+        throw new Error(`Invalid platform "${entry}", expected os/architecture[/variant]`);
+      }
+      return { os, architecture, variant };
+    });
+
+  return platforms.length ? platforms : null;
+}
+
+export function formatPlatform({ os, architecture, variant }) {
+  return [os, architecture, variant].filter(Boolean).join("/");
+}
+
+/**
+ * Check a manifest descriptor's platform against the selected platforms. A selected
+ * platform without variant matches every variant of its architecture.
+ */
+function matchesPlatform(platform, platforms) {
+  return platforms.some(
+    ({ os, architecture, variant }) =>
+      platform.os === os && platform.architecture === architecture && (!variant || platform.variant === variant)
+  );
+}
+
+/**
+ * Select the entries of an image index to copy. Entries without a platform are kept, and
+ * buildx attestation manifests are kept only when the image they describe is.
+ * @param {Array} manifests - Descriptors of the index
+ * @param {Array|null} platforms - Selected platforms, null for all
+ * @returns {Array} - Descriptors to copy
+ */
+export function selectPlatformManifests(manifests, platforms) {
+  if (!platforms) return manifests;
+
+  const selected = manifests.filter(
+    (descriptor) =>
+      !descriptor.platform || descriptor.platform.os === "unknown" || matchesPlatform(descriptor.platform, platforms)
+  );
+  const selectedDigests = new Set(selected.map((descriptor) => descriptor.digest));
+
+  return selected.filter((descriptor) => {
+    const describedDigest = descriptor.annotations?.["vnd.docker.reference.digest"];
+    return !describedDigest || selectedDigests.has(describedDigest);
+  });
+}
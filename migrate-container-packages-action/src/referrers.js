@@ -0,0 +1,105 @@
+import * as core from "@actions/core";
+import { mapWithConcurrency } from "../../shared/utils.js";
+
+// Tags cosign and the OCI referrers tag schema attach to a subject: sha256-<hex>[.sig|.att|.sbom]
+const REFERRER_TAG_PATTERN = /^(sha256)-([0-9a-f]{64})(?:\.[\w-]+)?$/;
+
+/**
+ * Get the subject digest a tag-schema tag refers to
+ * @returns {string|null} - Subject digest, or null for an ordinary tag
+ */
+export function getTagSubject(tag) {
+  const match = tag.match(REFERRER_TAG_PATTERN);
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Find the signatures, SBOMs and attestations attached to a package's digests and flag the
+ * references that belong to them with their subject digest. Referrers are discovered through
+ * the referrers API and, for registries without it, through the tag schema. Referrers the
+ * API reports that are not package versions are added as extra digest references.
+ * @param {string} packageName - Container package name
+ * @param {Array} references - References from parseVersions
+ * @param {Object} context - Migration context
+ * @returns {Promise<Array>} - References, artifacts carrying a `subject`
+ */
+export async function linkReferrers(packageName, references, context) {
+  const { sourceOrg, sourceRegistry, maxConcurrency } = context;
+  const repository = `${sourceOrg}/${packageName}`;
+  const digests = references.filter((ref) => ref.isDigest).map((ref) => ref.reference);
+  // Artifact digest -> subject digest
+  const subjects = new Map();
+
+  for (const ref of references) {
+    const subject = !ref.isDigest && getTagSubject(ref.reference);
+    if (subject && subject !== ref.digest) {
+      subjects.set(ref.digest, subject);
+    }
+  }
+
+  let apiSupported = true;
+  await mapWithConcurrency(digests, maxConcurrency, async (digest) => {
+    if (!apiSupported) return;
+
+    let referrers;
+    try {
+      referrers = await sourceRegistry.listReferrers(repository, digest);
+    } catch (error) {
+      // A failing lookup must not fail the package: the tag schema still finds cosign artifacts
+      if (apiSupported) {
+        core.warning(
+          `Referrers API of ${repository} failed for ${digest}, using the tag schema only: ${error.message}`
+        );
+      }
+      apiSupported = false;
+      return;
+    }
+    if (referrers === null) {
+      apiSupported = false;
+      return;
+    }
+    referrers.forEach((referrer) => subjects.has(referrer.digest) || subjects.set(referrer.digest, digest));
+  });
+  core.debug(`Referrers of ${packageName} found through ${apiSupported ? "the referrers API and " : ""}the tag schema`);
+
+  const linked = references.map((ref) => {
+    const subject = subjects.get(ref.isDigest ? ref.reference : ref.digest);
+    return subject ? { ...ref, subject } : ref;
+  });
+
+  const known = new Set(digests);
+  for (const [digest, subject] of subjects) {
+    if (!known.has(digest)) {
+      linked.push({ reference: digest, isDigest: true, subject });
+    }
+  }
+
+  const artifactCount = linked.filter((ref) => ref.isDigest && ref.subject).length;
+  if (artifactCount) {
+    core.info(`Found ${artifactCount} signatures, SBOMs and attestations for ${packageName}`);
+  }
+  return linked;
+}
+
+/**
+ * Split artifact references into batches where every artifact comes after its subject,
+ * including artifacts attached to other artifacts (e.g. the signature of an SBOM)
+ * @param {Array} artifacts - References carrying a subject
+ * @returns {Array<Array>} - Batches to migrate one after another
+ */
+export function orderBySubject(artifacts) {
+  const subjectOf = new Map(artifacts.filter((ref) => ref.isDigest).map((ref) => [ref.reference, ref.subject]));
+  const depthOf = (digest, seen = new Set()) => {
+    const subject = subjectOf.get(digest);
+    if (!subjectOf.has(subject) || seen.has(subject)) return 0;
+    seen.add(subject);
+    return depthOf(subject, seen) + 1;
+  };
+
+  const batches = [];
+  for (const ref of artifacts) {
+    const depth = depthOf(ref.isDigest ? ref.reference : ref.digest);
+    (batches[depth] = batches[depth] || []).push(ref);
+  }
+  return batches.filter(Boolean);
+}
@@ -0,0 +1,280 @@
+import * as core from "@actions/core";
+import crypto from "crypto";
+import axios from "axios";
+
+/**
+ * Minimal OCI Distribution client used to copy images between GitHub container registries
+ * without Docker or skopeo. Only the endpoints needed to copy manifests and blobs are covered.
+ */
+
+export const MEDIA_TYPES = {
+  OCI_INDEX: "application/vnd.oci.image.index.v1+json",
+  OCI_MANIFEST: "application/vnd.oci.image.manifest.v1+json",
+  DOCKER_MANIFEST_LIST: "application/vnd.docker.distribution.manifest.list.v2+json",
+  DOCKER_MANIFEST: "application/vnd.docker.distribution.manifest.v2+json",
+};
+
+// Every manifest type we can copy, sent as Accept so the registry never converts a manifest
+const MANIFEST_ACCEPT = Object.values(MEDIA_TYPES).join(", ");
+const INDEX_MEDIA_TYPES = [MEDIA_TYPES.OCI_INDEX, MEDIA_TYPES.DOCKER_MANIFEST_LIST];
+
+/**
+ * Turn a registry host or URL into the base URL of its API. Plain hosts use https;
+ * an explicit scheme is kept so a local http registry can stand in for ghcr.io.
+ */
+export function getRegistryBaseUrl(registry) {
+  const url = /^https?:\/\//.test(registry) ? registry : `https://${registry}`;
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * Registry host as used in image references (docker://host/org/name)
+ */
+export function getRegistryHost(registry) {
+  return new URL(getRegistryBaseUrl(registry)).host;
+}
+
+export function isIndexMediaType(mediaType) {
+  return INDEX_MEDIA_TYPES.includes(mediaType);
+}
+
+export function computeDigest(data) {
+  return `sha256:${crypto.createHash("sha256").update(data).digest("hex")}`;
+}
+
+/**
+ * Parse a WWW-Authenticate header into its scheme and parameters
+ */
+export function parseChallenge(header) {
+  if (!header) return null;
+
+  const [scheme, ...rest] = header.trim().split(/\s+/);
+  const params = {};
+  for (const match of rest.join(" ").matchAll(/(\w+)="([^"]*)"/g)) {
+    params[match[1]] = match[2];
+  }
+  return { scheme: scheme.toLowerCase(), params };
+}
+
+function repositoryScope(repository, actions) {
+  return `repository:${repository}:${actions}`;
+}
+
+function buildRegistryError(method, url, response) {
+  const error = new Error(`${method.toUpperCase()} ${url} failed with status ${response.status}`);
+  error.statusCode = response.status;
+  return error;
+}
+
+/**
+ * Create a client for one registry. Bearer tokens are fetched on demand with the
+ * OCI token flow (401 challenge, token endpoint, retry) and cached per scope.
+ * @param {string} registry - Registry host or URL (e.g. ghcr.io, containers.HOSTNAME)
+ * @param {string} token - PAT used as the password of the token request
+ * @returns {Object} - Registry client
+ */
+export function createRegistryClient(registry, token) {
+  const baseUrl = getRegistryBaseUrl(registry);
+  const basicAuth = `Basic ${Buffer.from(`USERNAME:${token}`).toString("base64")}`;
+  const authorizations = new Map();
+
+  async function authenticate(challengeHeader, scopes) {
+    const scopeKey = scopes.join(" ");
+    const challenge = parseChallenge(challengeHeader);
+    if (challenge?.scheme === "basic") {
+      authorizations.set(scopeKey, basicAuth);
+      return;
+    }
+    if (challenge?.scheme !== "bearer" || !challenge.params.realm) {
+      throw new Error(`Unsupported authentication challenge from ${baseUrl}: ${challengeHeader}`);
+    }
+
+    // Ask for the scopes this request needs rather than the challenge's, which may only cover pull
+    const tokenUrl = new URL(challenge.params.realm);
+    challenge.params.service && tokenUrl.searchParams.set("service", challenge.params.service);
+    scopes.forEach((scope) => tokenUrl.searchParams.append("scope", scope));
+    const response = await axios.get(tokenUrl.toString(), { headers: { Authorization: basicAuth } });
+    const bearer = response.data.token || response.data.access_token;
+    if (!bearer) {
+      throw new Error(`Token endpoint ${challenge.params.realm} returned no token`);
+    }
+    authorizations.set(scopeKey, `Bearer ${bearer}`);
+  }
+
+  /**
+   * Send a request needing the given token scopes, authenticating once when challenged.
+   * Streamed bodies cannot be replayed, so callers authenticate the scopes before sending one.
+   */
+  async function request(scopes, config, allowedStatuses = []) {
+    const scopeKey = scopes.join(" ");
+    const url = config.url.startsWith("http") ? config.url : `${baseUrl}${config.url}`;
+    const send = () =>
+      axios({
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        ...config,
+        url,
+        headers: {
+          ...config.headers,
+          ...(authorizations.has(scopeKey) && { Authorization: authorizations.get(scopeKey) }),
+        },
+        validateStatus: () => true,
+      });
+
+    let response = await send();
+    if (response.status === 401 && typeof config.data?.pipe !== "function") {
+      response.data?.destroy?.();
+      await authenticate(response.headers["www-authenticate"], scopes);
+      response = await send();
+    }
+
+    if (response.status >= 400 && !allowedStatuses.includes(response.status)) {
+      response.data?.destroy?.();
+      throw buildRegistryError(config.method || "get", url, response);
+    }
+    return response;
+  }
+
+  return {
+    baseUrl,
+    host: getRegistryHost(registry),
+
+    /**
+     * Fetch a manifest exactly as stored, so it can be pushed back byte for byte
+     * @returns {Promise<{mediaType: string, digest: string, data: Buffer}>}
+     */
+    async getManifest(repository, reference) {
+      const response = await request([repositoryScope(repository, "pull")], {
+        method: "get",
+        url: `/v2/${repository}/manifests/${reference}`,
+        headers: { Accept: MANIFEST_ACCEPT },
+        responseType: "arraybuffer",
+      });
+
+      const data = Buffer.from(response.data);
+      const digest = computeDigest(data);
+      if (reference.startsWith("sha256:") && digest !== reference) {
+        throw new Error(`Manifest ${repository}@${reference} does not match its digest (got ${digest})`);
+      }
+
+      const mediaType =
+        response.headers["content-type"]?.split(";")[0] || JSON.parse(data.toString("utf8")).mediaType || "";
+      return { mediaType, digest, data };
+    },
+
+    /**
+     * @returns {Promise<string|null>} - Digest of the manifest, or null when it does not exist
+     */
+    async headManifest(repository, reference, actions = "pull") {
+      const response = await request(
+        [repositoryScope(repository, actions)],
+        { method: "head", url: `/v2/${repository}/manifests/${reference}`, headers: { Accept: MANIFEST_ACCEPT } },
+        [404]
+      );
+      return response.status === 404 ? null : response.headers["docker-content-digest"] || reference;
+    },
+
+    /**
+     * Push manifest bytes under a tag or digest
+     * @returns {Promise<string>} - Digest reported by the registry
+     */
+    async putManifest(repository, reference, manifest) {
+      const response = await request([repositoryScope(repository, "pull,push")], {
+        method: "put",
+        url: `/v2/${repository}/manifests/${reference}`,
+        headers: { "Content-Type": manifest.mediaType },
+        data: manifest.data,
+      });
+      return response.headers["docker-content-digest"] || computeDigest(manifest.data);
+    },
+
+    /**
+     * List the referrers of a manifest (signatures, SBOMs, attestations) with the OCI 1.1
+     * referrers API, following pagination links
+     * @returns {Promise<Array|null>} - Referrer descriptors, or null when the registry has no referrers API
+     */
+    async listReferrers(repository, digest) {
+      const referrers = [];
+      let url = `/v2/${repository}/referrers/${digest}`;
+
+      while (url) {
+        const response = await request([repositoryScope(repository, "pull")], { method: "get", url }, [404]);
+        if (response.status === 404) {
+          return referrers.length ? referrers : null;
+        }
+
+        referrers.push(...(response.data.manifests || []));
+        const next = response.headers.link?.match(/<([^>]+)>;\s*rel="next"/);
+        url = next ? new URL(next[1], `${baseUrl}/`).toString() : null;
+      }
+      return referrers;
+    },
+
+    /**
+     * @returns {Promise<boolean>} - Whether the repository already holds the blob
+     */
+    async hasBlob(repository, digest, actions = "pull") {
+      const response = await request(
+        [repositoryScope(repository, actions)],
+        { method: "head", url: `/v2/${repository}/blobs/${digest}` },
+        [404]
+      );
+      return response.status !== 404;
+    },
+
+    /**
+     * Open a blob as a stream. Redirects to blob storage are followed without the registry token.
+     */
+    async getBlobStream(repository, digest) {
+      const response = await request([repositoryScope(repository, "pull")], {
+        method: "get",
+        url: `/v2/${repository}/blobs/${digest}`,
+        responseType: "stream",
+      });
+      return response.data;
+    },
+
+    /**
+     * Mount a blob another repository of this registry already holds, without uploading it
+     * @returns {Promise<boolean>} - Whether the registry mounted the blob
+     */
+    async mountBlob(repository, digest, fromRepository) {
+      const scopes = [repositoryScope(repository, "pull,push"), repositoryScope(fromRepository, "pull")];
+      const response = await request(scopes, {
+        method: "post",
+        url: `/v2/${repository}/blobs/uploads/`,
+        params: { mount: digest, from: fromRepository },
+      });
+      if (response.status === 201) {
+        return true;
+      }
+
+      // The registry opened a regular upload instead, which is not needed
+      if (response.headers.location) {
+        const location = new URL(response.headers.location, `${baseUrl}/`).toString();
+        await request(scopes, { method: "delete", url: location }, [404]).catch(() => {});
+      }
+      return false;
+    },
+
+    /**
+     * Upload a blob with a single PUT (monolithic upload)
+     */
+    async pushBlob(repository, descriptor, stream) {
+      const start = await request([repositoryScope(repository, "pull,push")], {
+        method: "post",
+        url: `/v2/${repository}/blobs/uploads/`,
+      });
+
+      const location = new URL(start.headers.location, `${baseUrl}/`);
+      location.searchParams.set("digest", descriptor.digest);
+      await request([repositoryScope(repository, "pull,push")], {
+        method: "put",
+        url: location.toString(),
+        headers: { "Content-Type": "application/octet-stream", "Content-Length": descriptor.size },
+        data: stream,
+      });
+      core.debug(`Uploaded blob ${descriptor.digest} (${descriptor.size} bytes) to ${repository}`);
+    },
+  };
+}
@@ -0,0 +1,148 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { copyImage, createBlobIndex, tagImage } from "../src/copy.js";
+import { createRegistryClient } from "../src/registry.js";
+import { parsePlatforms } from "../src/platforms.js";
+import { MEDIA_TYPES, digestOf, startRegistry } from "./registry-stand-in.js";
+
+let sourceRegistry;
+let targetRegistry;
+let source;
+let target;
+
+beforeEach(async () => {
+  sourceRegistry = await startRegistry();
+  targetRegistry = await startRegistry();
+  source = createRegistryClient(sourceRegistry.url, "source-pat");
+  target = createRegistryClient(targetRegistry.url, "target-pat");
+});
+
+afterEach(async () => {
+  await sourceRegistry.close();
+  await targetRegistry.close();
+});
+
+function blobsOf(registry, repository, digest) {
+  const manifest = JSON.parse(registry.getManifest(repository, digest).data.toString("utf8"));
+  return [manifest.config, ...manifest.layers];
+}
+
+test("copies a single-arch image digest for digest", async () => {
+  const image = sourceRegistry.addImage("src/app", ["layer one", "layer two"], "v1");
+
+  const result = await copyImage(source, target, "src/app", "tgt/app", image.digest, createBlobIndex(), null);
+
+  assert.equal(result.digest, image.digest);
+  assert.deepEqual(
+    targetRegistry.getManifest("tgt/app", image.digest).data,
+    sourceRegistry.getManifest("src/app", image.digest).data
+  );
+  const blobs = blobsOf(sourceRegistry, "src/app", image.digest);
+  blobs.forEach((blob) => assert.ok(targetRegistry.hasBlob("tgt/app", blob.digest)));
+  assert.equal(
+    result.bytesUploaded,
+    blobs.reduce((total, blob) => total + blob.size, 0)
+  );
+  assert.equal(result.bytesSaved, 0);
+  // Tokens are exchanged on the 401 challenge, with the scopes each request needs
+  assert.ok(sourceRegistry.tokenScopes.includes("repository:src/app:pull"));
+  assert.ok(targetRegistry.tokenScopes.includes("repository:tgt/app:pull,push"));
+});
+
+test("tags an image copied in this run or in an earlier one", async () => {
+  const image = sourceRegistry.addImage("src/app", ["layer"], "v1");
+  const index = createBlobIndex();
+  await copyImage(source, target, "src/app", "tgt/app", image.digest, index, null);
+
+  await tagImage(source, target, "src/app", "tgt/app", image.digest, "v1", index, null);
+  await tagImage(source, target, "src/app", "tgt/app", image.digest, "stable", createBlobIndex(), null);
+
+  assert.equal(digestOf(targetRegistry.getManifest("tgt/app", "v1").data), image.digest);
+  assert.equal(digestOf(targetRegistry.getManifest("tgt/app", "stable").data), image.digest);
+});
+
+test("copies a multi-arch index with every platform, uploading shared layers once", async () => {
+  const amd64 = sourceRegistry.addImage("src/app", ["shared layer", "amd64 layer"], null, {
+    os: "linux",
+    architecture: "amd64",
+  });
+  const arm64 = sourceRegistry.addImage("src/app", ["shared layer", "arm64 layer"], null, {
+    os: "linux",
+    architecture: "arm64",
+  });
+  const imageIndex = sourceRegistry.addManifest(
+    "src/app",
+    { schemaVersion: 2, mediaType: MEDIA_TYPES.OCI_INDEX, manifests: [amd64, arm64] },
+    "latest"
+  );
+
+  const result = await copyImage(source, target, "src/app", "tgt/app", "latest", createBlobIndex(), null);
+
+  assert.equal(result.digest, imageIndex.digest);
+  assert.equal(digestOf(targetRegistry.getManifest("tgt/app", "latest").data), imageIndex.digest);
+  for (const child of [amd64, arm64]) {
+    assert.ok(targetRegistry.getManifest("tgt/app", child.digest));
+    blobsOf(sourceRegistry, "src/app", child.digest).forEach((blob) =>
+      assert.ok(targetRegistry.hasBlob("tgt/app", blob.digest))
+    );
+  }
+  const sharedLayer = blobsOf(sourceRegistry, "src/app", amd64.digest)[1];
+  const sharedUploads = targetRegistry.requests.filter(
+    (request) => request.method === "PUT" && request.query.digest === sharedLayer.digest
+  );
+  assert.equal(sharedUploads.length, 1);
+  assert.equal(result.bytesSaved, sharedLayer.size);
+});
+
+test("tags an index the platforms filter rewrote in an earlier run", async () => {
+  const amd64 = sourceRegistry.addImage("src/app", ["amd64 layer"], null, { os: "linux", architecture: "amd64" });
+  const arm64 = sourceRegistry.addImage("src/app", ["arm64 layer"], null, { os: "linux", architecture: "arm64" });
+  const imageIndex = sourceRegistry.addManifest(
+    "src/app",
+    { schemaVersion: 2, mediaType: MEDIA_TYPES.OCI_INDEX, manifests: [amd64, arm64] },
+    "latest"
+  );
+  const platforms = parsePlatforms("linux/amd64");
+  const { digest, rewrittenIndexes } = await copyImage(
+    source,
+    target,
+    "src/app",
+    "tgt/app",
+    imageIndex.digest,
+    createBlobIndex(),
+    platforms
+  );
+  assert.deepEqual(rewrittenIndexes, [{ sourceDigest: imageIndex.digest, targetDigest: digest }]);
+  assert.equal(targetRegistry.getManifest("tgt/app", imageIndex.digest), null);
+
+  // A resumed run starts with an empty index and only knows the source digest of the tag
+  await tagImage(source, target, "src/app", "tgt/app", imageIndex.digest, "latest", createBlobIndex(), platforms);
+
+  assert.equal(digestOf(targetRegistry.getManifest("tgt/app", "latest").data), digest);
+});
+
+test("mounts blobs already copied to another repository of the target", async () => {
+  const image = sourceRegistry.addImage("src/app", ["layer"], "v1");
+  const index = createBlobIndex();
+  await copyImage(source, target, "src/app", "tgt/app", image.digest, index, null);
+
+  const result = await copyImage(source, target, "src/app", "tgt/other", image.digest, index, null);
+
+  assert.equal(result.bytesUploaded, 0);
+  assert.ok(result.bytesSaved > 0);
+  assert.ok(targetRegistry.requests.some((request) => request.method === "POST" && request.query.from === "tgt/app"));
+  blobsOf(sourceRegistry, "src/app", image.digest).forEach((blob) =>
+    assert.ok(targetRegistry.hasBlob("tgt/other", blob.digest))
+  );
+});
+
+test("rejects a manifest that does not match its digest", async () => {
+  const image = sourceRegistry.addImage("src/app", ["layer"], "v1");
+  sourceRegistry.tamperManifest("src/app", image.digest, JSON.stringify({ schemaVersion: 2, tampered: true }));
+
+  await assert.rejects(
+    copyImage(source, target, "src/app", "tgt/app", image.digest, createBlobIndex(), null),
+    /does not match its digest/
+  );
+  assert.equal(targetRegistry.getManifest("tgt/app", image.digest), null);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { linkReferrers } from "../src/referrers.js";
+import { createRegistryClient } from "../src/registry.js";
+import { startRegistry } from "./registry-stand-in.js";
+
+const IMAGE = `sha256:${"a".repeat(64)}`;
+const SIGNATURE = `sha256:${"b".repeat(64)}`;
+const REFERENCES = [
+  { reference: IMAGE, isDigest: true },
+  { reference: SIGNATURE, isDigest: true },
+  { reference: `sha256-${"a".repeat(64)}.sig`, isDigest: false, digest: SIGNATURE },
+];
+
+async function linkWith(registry) {
+  const context = {
+    sourceOrg: "src",
+    sourceRegistry: createRegistryClient(registry.url, "pat"),
+    maxConcurrency: 2,
+  };
+  return linkReferrers("app", REFERENCES, context);
+}
+
+for (const status of [500, 405]) {
+  test(`falls back to the tag schema when the referrers API answers ${status}`, async () => {
+    const registry = await startRegistry({ referrersStatus: status });
+    try {
+      const linked = await linkWith(registry);
+      assert.deepEqual(
+        linked.map(({ reference, subject }) => [reference, subject]),
+        [
+          [IMAGE, undefined],
+          [SIGNATURE, IMAGE],
+          [`sha256-${"a".repeat(64)}.sig`, IMAGE],
+        ]
+      );
+    } finally {
+      await registry.close();
+    }
+  });
+}
+
+test("links referrers reported by the referrers API across pages", async () => {
+  const registry = await startRegistry({ referrersPageSize: 1 });
+  const sbom = `sha256:${"c".repeat(64)}`;
+  registry.addReferrer("src/app", IMAGE, { digest: SIGNATURE });
+  registry.addReferrer("src/app", IMAGE, { digest: sbom });
+  try {
+    const linked = await linkWith(registry);
+    assert.deepEqual(
+      linked.filter((ref) => ref.isDigest && ref.subject).map(({ reference }) => reference),
+      [SIGNATURE, sbom]
+    );
+  } finally {
+    await registry.close();
+  }
+});
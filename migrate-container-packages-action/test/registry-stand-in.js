@@ -0,0 +1,211 @@
+import http from "http";
+import crypto from "crypto";
+
+/**
+ * In-process OCI registry standing in for ghcr.io in tests. It implements the parts of the
+ * Distribution API the migration uses: the bearer token flow, manifests, blobs with monolithic
+ * uploads and cross-repository mounts, and the referrers API with pagination.
+ */
+
+const TOKEN = "stand-in-token";
+
+export const MEDIA_TYPES = {
+  OCI_INDEX: "application/vnd.oci.image.index.v1+json",
+  OCI_MANIFEST: "application/vnd.oci.image.manifest.v1+json",
+};
+
+export function digestOf(data) {
+  return `sha256:${crypto.createHash("sha256").update(data).digest("hex")}`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Start a registry stand-in on a free local port
+ * @param {Object} options - referrersStatus: status every referrers request answers with;
+ * referrersPageSize: referrers per page
+ * @returns {Promise<Object>} - Registry with its url, seeding helpers and the log of requests
+ */
+export async function startRegistry(options = {}) {
+  const repositories = new Map();
+  const uploads = new Map();
+  const referrers = new Map();
+  const requests = [];
+  const tokenScopes = [];
+  let uploadCount = 0;
+
+  const getRepository = (name) => {
+    if (!repositories.has(name)) {
+      repositories.set(name, { manifests: new Map(), blobs: new Map() });
+    }
+    return repositories.get(name);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://stand-in");
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    const reply = (status, headers = {}, data = "") => {
+      res.writeHead(status, headers);
+      res.end(req.method === "HEAD" ? undefined : data);
+    };
+
+    if (url.pathname === "/token") {
+      if (!req.headers.authorization?.startsWith("Basic ")) return reply(401);
+      tokenScopes.push(...url.searchParams.getAll("scope"));
+      return reply(200, { "Content-Type": "application/json" }, JSON.stringify({ token: TOKEN }));
+    }
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return reply(401, {
+        "WWW-Authenticate": `Bearer realm="${registry.url}/token",service="stand-in"`,
+      });
+    }
+
+    const upload = url.pathname.match(/^\/v2\/(.+)\/blobs\/uploads\/([^/]*)$/);
+    if (upload) {
+      const repository = getRepository(upload[1]);
+      if (req.method === "POST") {
+        const from = url.searchParams.get("from");
+        const mount = url.searchParams.get("mount");
+        if (mount && repositories.get(from)?.blobs.has(mount)) {
+          repository.blobs.set(mount, repositories.get(from).blobs.get(mount));
+          return reply(201, { Location: `/v2/${upload[1]}/blobs/${mount}` });
+        }
+        const id = `upload-${++uploadCount}`;
+        uploads.set(id, upload[1]);
+        return reply(202, { Location: `/v2/${upload[1]}/blobs/uploads/${id}` });
+      }
+      if (req.method === "PUT" && uploads.has(upload[2])) {
+        const digest = url.searchParams.get("digest");
+        if (digestOf(body) !== digest) return reply(400, {}, "DIGEST_INVALID");
+        uploads.delete(upload[2]);
+        repository.blobs.set(digest, body);
+        return reply(201, { "Docker-Content-Digest": digest });
+      }
+      if (req.method === "DELETE") {
+        uploads.delete(upload[2]);
+        return reply(204);
+      }
+      return reply(404);
+    }
+
+    const route = url.pathname.match(/^\/v2\/(.+)\/(manifests|blobs|referrers)\/([^/]+)$/);
+    if (!route) return reply(404);
+    const [, name, kind, reference] = route;
+    const repository = getRepository(name);
+
+    if (kind === "referrers") {
+      if (options.referrersStatus) return reply(options.referrersStatus);
+      const all = referrers.get(`${name}@${reference}`) || [];
+      const pageSize = options.referrersPageSize || all.length || 1;
+      const page = Number(url.searchParams.get("page") || 0);
+      const headers = { "Content-Type": MEDIA_TYPES.OCI_INDEX };
+      if ((page + 1) * pageSize < all.length) {
+        headers.Link = `</v2/${name}/referrers/${reference}?page=${page + 1}>; rel="next"`;
+      }
+      const manifests = all.slice(page * pageSize, (page + 1) * pageSize);
+      return reply(200, headers, JSON.stringify({ schemaVersion: 2, mediaType: MEDIA_TYPES.OCI_INDEX, manifests }));
+    }
+
+    if (kind === "blobs") {
+      const blob = repository.blobs.get(reference);
+      return blob ? reply(200, { "Content-Length": blob.length }, blob) : reply(404);
+    }
+
+    if (req.method === "PUT") {
+      const manifest = { mediaType: req.headers["content-type"], data: body };
+      repository.manifests.set(reference, manifest);
+      repository.manifests.set(digestOf(body), manifest);
+      return reply(201, { "Docker-Content-Digest": digestOf(body) });
+    }
+    const manifest = repository.manifests.get(reference);
+    if (!manifest) return reply(404);
+    return reply(
+      200,
+      { "Content-Type": manifest.mediaType, "Docker-Content-Digest": digestOf(manifest.data) },
+      manifest.data
+    );
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const registry = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    tokenScopes,
+    repositories,
+
+    /**
+     * Store a blob in a repository
+     * @returns {{mediaType: string, digest: string, size: number}} - Its descriptor
+     */
+    addBlob(repository, content, mediaType = "application/vnd.oci.image.layer.v1.tar+gzip") {
+      const data = Buffer.from(content);
+      getRepository(repository).blobs.set(digestOf(data), data);
+      return { mediaType, digest: digestOf(data), size: data.length };
+    },
+
+    /**
+     * Store a manifest under its digest and, when given, a tag
+     * @returns {{mediaType: string, digest: string, size: number}} - Its descriptor
+     */
+    addManifest(repository, manifestJson, tag) {
+      const data = Buffer.from(JSON.stringify(manifestJson));
+      const manifest = { mediaType: manifestJson.mediaType, data };
+      getRepository(repository).manifests.set(digestOf(data), manifest);
+      tag && getRepository(repository).manifests.set(tag, manifest);
+      return { mediaType: manifestJson.mediaType, digest: digestOf(data), size: data.length };
+    },
+
+    /**
+     * Store an image (config and one layer per content string) and return its manifest descriptor
+     */
+    addImage(repository, layerContents, tag, platform) {
+      const config = registry.addBlob(
+        repository,
+        JSON.stringify({ architecture: platform?.architecture || "amd64", os: platform?.os || "linux" }),
+        "application/vnd.oci.image.config.v1+json"
+      );
+      const layers = layerContents.map((content) => registry.addBlob(repository, content));
+      const descriptor = registry.addManifest(
+        repository,
+        { schemaVersion: 2, mediaType: MEDIA_TYPES.OCI_MANIFEST, config, layers },
+        tag
+      );
+      return platform ? { ...descriptor, platform } : descriptor;
+    },
+
+    /**
+     * Replace the bytes stored under a manifest reference, e.g. to serve a manifest that does
+     * not match its digest
+     */
+    tamperManifest(repository, reference, data) {
+      getRepository(repository).manifests.get(reference).data = Buffer.from(data);
+    },
+
+    addReferrer(repository, subjectDigest, descriptor) {
+      const key = `${repository}@${subjectDigest}`;
+      referrers.set(key, [...(referrers.get(key) || []), descriptor]);
+    },
+
+    getManifest(repository, reference) {
+      return repositories.get(repository)?.manifests.get(reference) || null;
+    },
+
+    hasBlob(repository, digest) {
+      return Boolean(repositories.get(repository)?.blobs.has(digest));
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+  return registry;
+}
@@ -0,0 +1,163 @@
+import * as core from "@actions/core";
+import {
+  parsePackagesInput,
+  cleanupTempDir,
+  fetchPackageVersions,
+  createPackageResult,
+  migratePackagesWithContext,
+  setupContext,
+  withRetry,
+  isMigrationItemCompleted,
+  recordMigrationItem,
+  fetchTargetVersions,
+  createPlanEntry,
+  PLAN_ACTIONS,
+  isDryRun,
+  mapPackageName,
+} from "../../shared/utils.js";
+import { checkMavenInstallation } from "./maven-tools.js";
+import { parseClassifiers, getVersionCoordinates, processPackageVersion } from "./package.js";
+import { setupMavenSettings } from "./settings.js";
+import { setupEnvironment, setupVersionWorkspace } from "./workspace.js";
+
+function buildSkipResult(packageName, reason = "No versions found") {
+  return createPackageResult(packageName, 0, 0, {
+    skipped: true,
+    reason,
+  });
+}
+
+async function migrateVersion(packageName, version, repoName, context, settingsPath) {
+  const versionDir = setupVersionWorkspace(context.tempDir, packageName, version);
+
+  try {
+    return await withRetry(
+      () => processPackageVersion(packageName, version, repoName, context, versionDir, settingsPath),
+      {
+        onRetry: (error, attempt) => {
+          core.info(`Retry attempt ${attempt} for ${packageName} version ${version}. Error: ${error.message}`);
+        },
+      }
+    );
+  } catch (error) {
+    if (error.response?.status === 401) {
+      core.error(`Authentication failed for ${packageName} ${version}`);
+    } else {
+      core.error(`Migration failed: ${error.message} for ${packageName} ${version}`);
+    }
+    return false;
+  } finally {
+    cleanupTempDir(versionDir);
+  }
+}
+
+async function migratePackage(pkg, context) {
+  const { octokitSource, sourceOrg, targetOrg, tempDir } = context;
+  const packageName = pkg.name;
+  // GitHub Maven registries are addressed per repository, so a package needs one on both ends
+  const repoName = pkg.repository?.name || context.repoName;
+
+  core.info(`Migrating Maven package: ${packageName}${repoName ? ` from repo: ${repoName}` : ""}`);
+
+  // Maven coordinates are baked into the POM and Gradle metadata, so packages are not renamed
+  if (mapPackageName(packageName, context.packageMapping) !== packageName) {
+    core.warning(`Skipping ${packageName}: renaming Maven packages through package_mapping is not supported`);
+    return buildSkipResult(packageName, "Renaming Maven packages is not supported");
+  }
+
+  if (!repoName) {
+    core.warning(`No repository to migrate ${packageName} through, set repo_name to choose one`);
+    return buildSkipResult(packageName, "No repository to deploy to");
+  }
+
+  const versions = await fetchPackageVersions(octokitSource, sourceOrg, packageName, "maven");
+  if (!versions.length) {
+    return buildSkipResult(packageName);
+  }
+
+  const versionNames = versions.map((version) => version.name);
+  core.info(`Found ${versionNames.length} versions for package ${packageName}`);
+
+  const targetVersions = await fetchTargetVersions(context, packageName, "maven");
+  const existingVersions = new Set(targetVersions.map((version) => version.name));
+
+  const settingsPath = setupMavenSettings(tempDir, packageName, targetOrg, repoName);
+
+  let successCount = 0;
+  let failureCount = 0;
+  let resumedCount = 0;
+  let alreadyPresentCount = 0;
+  const plan = [];
+
+  try {
+    await Promise.all(
+      versionNames.map(async (version) => {
+        const { source, target } = getVersionCoordinates(packageName, version, repoName, context);
+
+        if (isMigrationItemCompleted(context.journal, packageName, version)) {
+          core.info(`Skipping ${packageName} version ${version}, already migrated by a previous run`);
+          resumedCount++;
+          plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.RESUMED));
+          return;
+        }
+
+        if (existingVersions.has(version)) {
+          core.info(`Skipping ${packageName} version ${version}, already present in ${context.targetOrg}`);
+          recordMigrationItem(context.journal, packageName, version, "completed");
+          alreadyPresentCount++;
+          plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.ALREADY_PRESENT));
+          return;
+        }
+
+        if (context.dryRun) {
+          plan.push(createPlanEntry(version, source, target));
+          return;
+        }
+
+        recordMigrationItem(context.journal, packageName, version, "pending");
+        const success = await context.workerPool.run(() =>
+          migrateVersion(packageName, version, repoName, context, settingsPath)
+        );
+        recordMigrationItem(context.journal, packageName, version, success ? "completed" : "failed");
+        success ? successCount++ : failureCount++;
+      })
+    );
+  } finally {
+    cleanupTempDir(settingsPath);
+  }
+
+  return createPackageResult(packageName, successCount, failureCount, {
+    resumed: resumedCount,
+    alreadyPresent: alreadyPresentCount,
+    plan: context.dryRun ? plan : undefined,
+  });
+}
+
+export async function run() {
+  let tempDir;
+  try {
+    const packages = parsePackagesInput(core.getInput("packages", { required: true }), "maven");
+    if (!packages.length) {
+      core.info("No Maven packages to migrate");
+      core.setOutput("result", JSON.stringify([]));
+      return;
+    }
+
+    if (!isDryRun(core)) {
+      checkMavenInstallation();
+    }
+    tempDir = setupEnvironment();
+    const context = {
+      ...setupContext(core, "maven"),
+      tempDir,
+      repoName: core.getInput("repo_name", { required: false }),
+      classifiers: parseClassifiers(core.getInput("classifiers", { required: false })),
+    };
+
+    await migratePackagesWithContext(packages, context, migratePackage, "maven");
+  } catch (error) {
+    core.error(`Action failed: ${error.message}`);
+  } finally {
+    tempDir && cleanupTempDir(tempDir);
+  }
+}
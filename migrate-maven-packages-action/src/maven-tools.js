@@ -0,0 +1,68 @@
+import * as core from "@actions/core";
+import { execSync, execFile } from "child_process";
+import { promisify } from "util";
+import { redactSecrets } from "../../shared/utils.js";
+import { MAVEN_SERVER_ID, MAVEN_TOKEN_ENV } from "./settings.js";
+
+const execFileAsync = promisify(execFile);
+
+// Pinned so deploy-file accepts empty classifiers for side artifacts such as Gradle module metadata
+const DEPLOY_PLUGIN = "org.apache.maven.plugins:maven-deploy-plugin:3.1.1";
+
+export function checkMavenInstallation() {
+  try {
+    execSync("mvn --version", { stdio: "pipe" });
+    core.info("Maven is installed");
+  } catch (err) {
+    core.error("Maven is not installed or not accessible");
+    throw err;
+  }
+}
+
+function buildSideArtifactArgs(sideArtifacts) {
+  if (!sideArtifacts.length) {
+    return [];
+  }
+
+  return [
+    `-Dfiles=${sideArtifacts.map((artifact) => artifact.path).join(",")}`,
+    `-Dclassifiers=${sideArtifacts.map((artifact) => artifact.classifier).join(",")}`,
+    `-Dtypes=${sideArtifacts.map((artifact) => artifact.type).join(",")}`,
+  ];
+}
+
+export async function deployArtifacts(artifacts, settingsPath, deployUrl, token, packageName, version) {
+  const { pom, main, sideArtifacts } = artifacts;
+  core.info(`Deploying ${packageName} version ${version} to ${deployUrl}`);
+
+  const mvnArgs = [
+    "--batch-mode",
+    "--settings",
+    settingsPath,
+    `${DEPLOY_PLUGIN}:deploy-file`,
+    `-Dfile=${main ? main.path : pom.path}`,
+    `-DpomFile=${pom.path}`,
+    "-DgeneratePom=false",
+    `-DrepositoryId=${MAVEN_SERVER_ID}`,
+    `-Durl=${deployUrl}`,
+    ...buildSideArtifactArgs(sideArtifacts),
+  ];
+
+  try {
+    // The settings file reads the token from the environment, see setupMavenSettings
+    await execFileAsync("mvn", mvnArgs, {
+      encoding: "utf-8",
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...process.env, [MAVEN_TOKEN_ENV]: token },
+    });
+  } catch (error) {
+    const output = error.stdout || error.stderr || error.message;
+    const errorMessage = /status code: 401|unauthorized/i.test(output)
+      ? "Failed to authenticate with target registry"
+      : `Maven deploy failed: ${redactSecrets(output)}`;
+    throw new Error(errorMessage);
+  }
+
+  core.info(`Successfully deployed ${packageName} version ${version}`);
+  return true;
+}
@@ -0,0 +1,302 @@
+import * as core from "@actions/core";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import { trackResource, downloadToFile } from "../../shared/utils.js";
+import { deployArtifacts } from "./maven-tools.js";
+
+// Checksum files published next to every artifact, strongest first
+const CHECKSUM_ALGORITHMS = ["sha512", "sha256", "sha1", "md5"];
+const DEFAULT_CLASSIFIERS = ["sources:jar", "javadoc:jar"];
+// Packagings whose main artifact is not stored under the packaging name
+const PACKAGING_EXTENSIONS = {
+  bundle: "jar",
+  ejb: "jar",
+  "maven-plugin": "jar",
+  "eclipse-plugin": "jar",
+};
+
+/**
+ * List the possible groupId/artifactId splits of a GitHub Maven package name.
+ * GitHub names Maven packages "groupId.artifactId", so the split point is ambiguous
+ * when the artifactId itself contains dots; the last dot is the most common case.
+ */
+export function getCoordinateCandidates(packageName) {
+  const candidates = [];
+  for (let i = packageName.lastIndexOf("."); i > 0; i = packageName.lastIndexOf(".", i - 1)) {
+    candidates.push({
+      groupId: packageName.substring(0, i),
+      artifactId: packageName.substring(i + 1),
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Build the registry URL of a file belonging to a GAV
+ */
+export function buildArtifactUrl(registryUrl, org, repoName, coordinates, version, fileName) {
+  const groupPath = coordinates.groupId.replace(/\./g, "/");
+  return `${registryUrl}/${org}/${repoName}/${groupPath}/${coordinates.artifactId}/${version}/${fileName}`;
+}
+
+/**
+ * Describe where a version lives in the source and target registries without fetching anything.
+ * The groupId/artifactId split is assumed at the last dot since the POM is not resolved.
+ */
+export function getVersionCoordinates(packageName, version, repoName, context) {
+  const { sourceOrg, sourceRegistryUrl, targetOrg, targetRegistryUrl } = context;
+  const [coordinates = { groupId: "", artifactId: packageName }] = getCoordinateCandidates(packageName);
+  return {
+    source: buildArtifactUrl(sourceRegistryUrl, sourceOrg, repoName, coordinates, version, ""),
+    target: buildArtifactUrl(targetRegistryUrl, targetOrg, repoName, coordinates, version, ""),
+  };
+}
+
+/**
+ * Parse extra classifiers input (classifier or classifier:extension)
+ */
+export function parseClassifiers(classifiersInput) {
+  const extra = (classifiersInput || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => (entry.includes(":") ? entry : `${entry}:jar`));
+
+  return [...new Set([...DEFAULT_CLASSIFIERS, ...extra])].map((entry) => {
+    const [classifier, extension] = entry.split(":");
+    return { classifier, extension };
+  });
+}
+
+/**
+ * Read the packaging of the project described by a POM, ignoring nested sections
+ */
+function readPackaging(pomXml) {
+  const nestedSections = /<(parent|dependencies|dependencyManagement|build|profiles|reporting)>[\s\S]*?<\/\1>/g;
+  const projectXml = pomXml.replace(nestedSections, "");
+  const match = projectXml.match(/<packaging>\s*([^<\s]+)\s*<\/packaging>/);
+  return match ? match[1] : "jar";
+}
+
+async function fetchFile(url, token) {
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    headers: { Authorization: `token ${token}` },
+    validateStatus: (status) => status === 200 || status === 404,
+  });
+
+  return response.status === 200 ? Buffer.from(response.data) : null;
+}
+
+/**
+ * Stream a file to disk, hashing it with every checksum algorithm on the way
+ * @returns {Promise<Object|null>} - Digest Buffers by algorithm, null when the file is not published
+ */
+async function downloadFile(url, filePath, token) {
+  try {
+    const { digests } = await downloadToFile(url, filePath, {
+      headers: { Authorization: `token ${token}` },
+      algorithms: CHECKSUM_ALGORITHMS,
+    });
+    return digests;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Hash content already in memory the way downloadFile does
+ */
+function hashData(data) {
+  return Object.fromEntries(
+    CHECKSUM_ALGORITHMS.map((algorithm) => [algorithm, crypto.createHash(algorithm).update(data).digest()])
+  );
+}
+
+/**
+ * Get the version a version's files are named with. SNAPSHOT files carry the timestamp and
+ * build number of their deploy (1.0-SNAPSHOT is stored as 1.0-20240101.120000-3), read from
+ * the version-level maven-metadata.xml.
+ * @returns {Promise<string|null>} - File version, null when a SNAPSHOT has no metadata there
+ */
+async function resolveFileVersion(coordinates, version, sourceUrl, token) {
+  if (!version.endsWith("-SNAPSHOT")) return version;
+
+  const metadata = await fetchFile(sourceUrl(coordinates, "maven-metadata.xml"), token);
+  if (!metadata) return null;
+
+  const xml = metadata.toString("utf8");
+  const pomEntry = [...xml.matchAll(/<snapshotVersion>([\s\S]*?)<\/snapshotVersion>/g)]
+    .map((match) => match[1])
+    .find((entry) => /<extension>\s*pom\s*<\/extension>/.test(entry) && !/<classifier>/.test(entry));
+  const value = pomEntry?.match(/<value>\s*([^<\s]+)\s*<\/value>/)?.[1];
+  if (value) return value;
+
+  // Metadata written before snapshotVersions existed only has the latest timestamp and build number
+  const timestamp = xml.match(/<timestamp>\s*([^<\s]+)\s*<\/timestamp>/)?.[1];
+  const buildNumber = xml.match(/<buildNumber>\s*(\d+)\s*<\/buildNumber>/)?.[1];
+  return timestamp && buildNumber ? version.replace(/SNAPSHOT$/, `${timestamp}-${buildNumber}`) : version;
+}
+
+/**
+ * Locate the POM of a package version, resolving the groupId/artifactId split and the file
+ * version of a SNAPSHOT on the way
+ */
+async function resolvePom(packageName, version, sourceUrl, token) {
+  for (const coordinates of getCoordinateCandidates(packageName)) {
+    const fileVersion = await resolveFileVersion(coordinates, version, sourceUrl, token);
+    if (!fileVersion) continue;
+
+    const pomName = `${coordinates.artifactId}-${fileVersion}.pom`;
+    const pomData = await fetchFile(sourceUrl(coordinates, pomName), token);
+    if (pomData) {
+      core.debug(`Resolved ${packageName} to ${coordinates.groupId}:${coordinates.artifactId}`);
+      if (fileVersion !== version) {
+        core.debug(`Files of ${packageName} version ${version} are named after ${fileVersion}`);
+      }
+      return { coordinates, pomData, fileVersion };
+    }
+  }
+
+  throw new Error(`POM not found for ${packageName} version ${version}`);
+}
+
+/**
+ * Split a file name of the form artifactId-version[-classifier].extension
+ */
+function describeFile(fileName, baseName) {
+  const rest = fileName.substring(baseName.length);
+  if (rest.startsWith(".")) {
+    return { classifier: "", type: rest.substring(1) };
+  }
+
+  const extensionStart = rest.indexOf(".");
+  return { classifier: rest.substring(1, extensionStart), type: rest.substring(extensionStart + 1) };
+}
+
+/**
+ * List the files declared by Gradle module metadata, if the version has any. The url of a file
+ * is its name in the registry, which differs from its name for SNAPSHOTs.
+ */
+function listModuleFiles(moduleData, baseName) {
+  try {
+    const moduleJson = JSON.parse(moduleData.toString("utf8"));
+    const names = (moduleJson.variants || []).flatMap((variant) =>
+      (variant.files || []).map((file) => file.url || file.name)
+    );
+    return names.filter((name) => name && name.startsWith(baseName));
+  } catch (error) {
+    core.warning(`Failed to parse Gradle module metadata: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Verify a downloaded file against the checksum files published next to it
+ */
+async function verifyChecksums(fileName, digests, fileUrl, token) {
+  let verified = 0;
+
+  for (const algorithm of CHECKSUM_ALGORITHMS) {
+    const checksumData = await fetchFile(`${fileUrl}.${algorithm}`, token);
+    if (!checksumData) continue;
+
+    const expected = checksumData.toString("utf8").trim().split(/\s+/)[0].toLowerCase();
+    const actual = digests[algorithm].toString("hex");
+    if (expected !== actual) {
+      throw new Error(`Checksum mismatch for ${fileName} (${algorithm}): expected ${expected}, got ${actual}`);
+    }
+    verified++;
+  }
+
+  if (!verified) {
+    core.debug(`No checksums published for ${fileName}`);
+  }
+  return verified;
+}
+
+/**
+ * Download every file of a GAV: POM, main artifact, classified artifacts, Gradle module
+ * metadata and signatures. Artifacts are streamed to disk, and each file is verified against
+ * its published checksums.
+ */
+export async function downloadArtifacts(packageName, version, context, repoName, outputDir) {
+  const { sourceOrg, sourceRegistryUrl, ghSourcePat, classifiers } = context;
+  const sourceUrl = (coordinates, fileName) =>
+    buildArtifactUrl(sourceRegistryUrl, sourceOrg, repoName, coordinates, version, fileName);
+
+  core.info(`Downloading ${packageName} version ${version}`);
+  const { coordinates, pomData, fileVersion } = await resolvePom(packageName, version, sourceUrl, ghSourcePat);
+  const baseName = `${coordinates.artifactId}-${fileVersion}`;
+  const packaging = readPackaging(pomData.toString("utf8"));
+
+  const candidates = new Set();
+  if (packaging !== "pom") {
+    candidates.add(`${baseName}.${PACKAGING_EXTENSIONS[packaging] || packaging}`);
+  }
+  classifiers.forEach(({ classifier, extension }) => candidates.add(`${baseName}-${classifier}.${extension}`));
+
+  const moduleData = await fetchFile(sourceUrl(coordinates, `${baseName}.module`), ghSourcePat);
+  if (moduleData) {
+    candidates.add(`${baseName}.module`);
+    listModuleFiles(moduleData, baseName).forEach((name) => candidates.add(name));
+  }
+
+  const artifacts = { coordinates, pom: null, main: null, sideArtifacts: [] };
+  const pomName = `${baseName}.pom`;
+  const files = [pomName, ...candidates];
+
+  for (const fileName of files) {
+    const fileUrl = sourceUrl(coordinates, fileName);
+    const filePath = path.join(outputDir, fileName);
+    let digests;
+    if (fileName === pomName) {
+      fs.writeFileSync(trackResource(filePath), pomData);
+      digests = hashData(pomData);
+    } else {
+      digests = await downloadFile(fileUrl, filePath, ghSourcePat);
+    }
+    if (!digests) {
+      core.debug(`No ${fileName} published for ${packageName} version ${version}`);
+      continue;
+    }
+
+    await verifyChecksums(fileName, digests, fileUrl, ghSourcePat);
+
+    const { classifier, type } = describeFile(fileName, baseName);
+    const artifact = { path: filePath, classifier, type };
+    if (type === "pom") {
+      artifacts.pom = artifact;
+    } else if (!classifier && type !== "module" && !artifacts.main) {
+      artifacts.main = artifact;
+    } else {
+      artifacts.sideArtifacts.push(artifact);
+    }
+
+    const signature = await fetchFile(`${fileUrl}.asc`, ghSourcePat);
+    if (signature) {
+      const signaturePath = trackResource(`${filePath}.asc`);
+      fs.writeFileSync(signaturePath, signature);
+      artifacts.sideArtifacts.push({ path: signaturePath, classifier, type: `${type}.asc` });
+    }
+  }
+
+  core.info(
+    `Downloaded ${packageName} version ${version}: ${1 + (artifacts.main ? 1 : 0) + artifacts.sideArtifacts.length} files`
+  );
+  return artifacts;
+}
+
+/**
+ * Download a version and deploy it to the target. Errors are thrown so the caller can retry them.
+ */
+export async function processPackageVersion(packageName, version, repoName, context, versionDir, settingsPath) {
+  const { targetOrg, targetRegistryUrl, ghTargetPat } = context;
+
+  const artifacts = await downloadArtifacts(packageName, version, context, repoName, versionDir);
+  const deployUrl = `${targetRegistryUrl}/${targetOrg}/${repoName}`;
+  return deployArtifacts(artifacts, settingsPath, deployUrl, ghTargetPat, packageName, version);
+}
@@ -0,0 +1,37 @@
+import fs from "fs";
+import path from "path";
+import { writeSecretFile } from "../../shared/utils.js";
+
+const SETTINGS_TEMPLATE = new URL("../../resources/m2-settings.xml.tmpl", import.meta.url);
+
+// Server id declared in the settings template, referenced by deploy-file
+export const MAVEN_SERVER_ID = "github";
+
+// Environment variable Maven interpolates the password from, so the token never touches disk
+export const MAVEN_TOKEN_ENV = "MAVEN_TARGET_TOKEN";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+export function renderSettings(template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (key in values ? escapeXml(values[key]) : match));
+}
+
+export function setupMavenSettings(tempDir, packageName, targetOrg, repoName) {
+  const settingsPath = path.join(tempDir, `${packageName}-settings.xml`);
+  const template = fs.readFileSync(SETTINGS_TEMPLATE, "utf8");
+  const settings = renderSettings(template, {
+    ORG: targetOrg,
+    REPO: repoName,
+    USER: "USERNAME",
+    PASS: `\${env.${MAVEN_TOKEN_ENV}}`,
+  });
+
+  return writeSecretFile(settingsPath, settings);
+}
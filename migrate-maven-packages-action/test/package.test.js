@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { downloadArtifacts } from "../src/package.js";
+
+const VERSION_PATH = "/source/repo/com/example/lib";
+
+let files;
+let server;
+let context;
+let outputDir;
+
+beforeEach(async () => {
+  files = new Map();
+  server = http.createServer((req, res) => {
+    const data = files.get(req.url);
+    res.writeHead(data ? 200 : 404);
+    res.end(data);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  context = {
+    sourceOrg: "source",
+    sourceRegistryUrl: `http://127.0.0.1:${server.address().port}`,
+    ghSourcePat: "pat",
+    classifiers: [{ classifier: "sources", extension: "jar" }],
+  };
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "maven-"));
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+function publish(version, fileName, content) {
+  const data = Buffer.from(content);
+  files.set(`${VERSION_PATH}/${version}/${fileName}`, data);
+  files.set(
+    `${VERSION_PATH}/${version}/${fileName}.sha1`,
+    Buffer.from(crypto.createHash("sha1").update(data).digest("hex"))
+  );
+}
+
+test("downloads the files of a release version", async () => {
+  publish("1.0", "lib-1.0.pom", "<project><packaging>jar</packaging></project>");
+  publish("1.0", "lib-1.0.jar", "classes");
+
+  const artifacts = await downloadArtifacts("com.example.lib", "1.0", context, "repo", outputDir);
+
+  assert.deepEqual(artifacts.coordinates, { groupId: "com.example", artifactId: "lib" });
+  assert.equal(fs.readFileSync(artifacts.main.path, "utf8"), "classes");
+  assert.deepEqual(artifacts.sideArtifacts, []);
+});
+
+test("downloads the timestamped files of a SNAPSHOT version", async () => {
+  files.set(
+    `${VERSION_PATH}/1.0-SNAPSHOT/maven-metadata.xml`,
+    Buffer.from(`<metadata>
+  <versioning>
+    <snapshot><timestamp>20240101.120000</timestamp><buildNumber>2</buildNumber></snapshot>
+    <snapshotVersions>
+      <snapshotVersion><classifier>sources</classifier><extension>jar</extension><value>1.0-20240101.120000-2</value></snapshotVersion>
+      <snapshotVersion><extension>pom</extension><value>1.0-20240101.120000-2</value></snapshotVersion>
+    </snapshotVersions>
+  </versioning>
+</metadata>`)
+  );
+  publish("1.0-SNAPSHOT", "lib-1.0-20240101.120000-2.pom", "<project></project>");
+  publish("1.0-SNAPSHOT", "lib-1.0-20240101.120000-2.jar", "classes");
+  publish("1.0-SNAPSHOT", "lib-1.0-20240101.120000-2-sources.jar", "sources");
+
+  const artifacts = await downloadArtifacts("com.example.lib", "1.0-SNAPSHOT", context, "repo", outputDir);
+
+  assert.equal(path.basename(artifacts.pom.path), "lib-1.0-20240101.120000-2.pom");
+  assert.equal(fs.readFileSync(artifacts.main.path, "utf8"), "classes");
+  assert.deepEqual(
+    artifacts.sideArtifacts.map(({ classifier, type }) => ({ classifier, type })),
+    [{ classifier: "sources", type: "jar" }]
+  );
+});
+
+test("rejects a file that does not match its published checksum", async () => {
+  publish("1.0", "lib-1.0.pom", "<project></project>");
+  publish("1.0", "lib-1.0.jar", "classes");
+  files.set(`${VERSION_PATH}/1.0/lib-1.0.jar`, Buffer.from("tampered"));
+
+  await assert.rejects(
+    downloadArtifacts("com.example.lib", "1.0", context, "repo", outputDir),
+    /Checksum mismatch for lib-1.0.jar \(sha1\)/
+  );
+});
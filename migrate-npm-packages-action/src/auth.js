@@ -1,14 +1,15 @@
-import fs from "fs";
 import path from "path";
-import { trackResource } from "../../shared/utils.js";
+import { writeSecretFile } from "../../shared/utils.js";
 
-export function setupNpmAuthentication(tempDir, targetOrg, targetRegistryUrl, ghTargetPat) {
+// Environment variable the .npmrc reads the token from, so the token itself never touches disk
+export const NPM_TOKEN_ENV = "NODE_AUTH_TOKEN";
+
+export function setupNpmAuthentication(tempDir, targetOrg, targetRegistryUrl) {
   const npmrcPath = path.join(tempDir, ".npmrc");
   const config = [
     `@${targetOrg}:registry=${targetRegistryUrl}/`,
-    `//${new URL(targetRegistryUrl).host}/:_authToken=${ghTargetPat}`,
+    `//${new URL(targetRegistryUrl).host}/:_authToken=\${${NPM_TOKEN_ENV}}`,
   ].join("\n");
 
-  fs.writeFileSync(npmrcPath, config);
-  return trackResource(npmrcPath);
+  return writeSecretFile(npmrcPath, config);
 }
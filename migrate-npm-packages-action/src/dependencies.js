@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import { formatPackageName } from "../../shared/utils.js";
+
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+// npm accepts both spellings
+const BUNDLE_FIELDS = ["bundleDependencies", "bundledDependencies"];
+// .npmrc keys holding credentials, masked before a rewritten line is logged
+const NPMRC_SECRET_KEYS = /(_authToken|_auth|_password)(\s*=\s*)\S+/g;
+
+/**
+ * Move an @sourceOrg name to the target org, applying the package mapping.
+ * Names outside the source scope are returned unchanged.
+ */
+export function rewriteScopedName(name, sourceOrg, targetOrg, mapping) {
+  const prefix = `@${sourceOrg}/`;
+  if (!name.startsWith(prefix)) {
+    return name;
+  }
+  return formatPackageName(name.substring(prefix.length), targetOrg, "npm", mapping);
+}
+
+/**
+ * Rewrite alias specs (npm:@sourceOrg/name@range) so they install from the target org
+ */
+function rewriteSpec(spec, sourceOrg, targetOrg, mapping) {
+  const alias = typeof spec === "string" && spec.match(/^npm:(@[^/]+\/[^@]+)(@.*)?$/);
+  if (!alias) {
+    return spec;
+  }
+  return `npm:${rewriteScopedName(alias[1], sourceOrg, targetOrg, mapping)}${alias[2] || ""}`;
+}
+
+/**
+ * Point the @sourceOrg entries of every dependency field at the target org, keeping the
+ * order of the entries
+ * @returns {Array<{field: string, from: string, to: string}>} - Rewritten entries
+ */
+export function rewriteDependencies(pkgJson, sourceOrg, targetOrg, mapping) {
+  const changes = [];
+
+  for (const field of DEPENDENCY_FIELDS) {
+    if (!pkgJson[field] || typeof pkgJson[field] !== "object") continue;
+
+    pkgJson[field] = Object.fromEntries(
+      Object.entries(pkgJson[field]).map(([name, spec]) => {
+        const newName = rewriteScopedName(name, sourceOrg, targetOrg, mapping);
+        const newSpec = rewriteSpec(spec, sourceOrg, targetOrg, mapping);
+        if (newName !== name || newSpec !== spec) {
+          changes.push({ field, from: `${name}@${spec}`, to: `${newName}@${newSpec}` });
+        }
+        return [newName, newSpec];
+      })
+    );
+  }
+
+  for (const field of BUNDLE_FIELDS) {
+    if (!Array.isArray(pkgJson[field])) continue;
+
+    pkgJson[field] = pkgJson[field].map((name) => {
+      const newName = rewriteScopedName(name, sourceOrg, targetOrg, mapping);
+      if (newName !== name) {
+        changes.push({ field, from: name, to: newName });
+      }
+      return newName;
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Move bundled @sourceOrg dependencies to the path their new name resolves to, so the
+ * rewritten bundleDependencies entries still find them
+ */
+export function moveBundledDependencies(packageDir, changes) {
+  for (const { field, from, to } of changes) {
+    if (!BUNDLE_FIELDS.includes(field)) continue;
+
+    const fromDir = path.join(packageDir, "node_modules", from);
+    const toDir = path.join(packageDir, "node_modules", to);
+    if (!fs.existsSync(fromDir) || fs.existsSync(toDir)) continue;
+
+    fs.mkdirSync(path.dirname(toDir), { recursive: true });
+    fs.renameSync(fromDir, toDir);
+    if (!fs.readdirSync(path.dirname(fromDir)).length) {
+      fs.rmdirSync(path.dirname(fromDir));
+    }
+
+    const bundledJsonPath = path.join(toDir, "package.json");
+    if (fs.existsSync(bundledJsonPath)) {
+      const bundledJson = JSON.parse(fs.readFileSync(bundledJsonPath, "utf8"));
+      bundledJson.name = to;
+      fs.writeFileSync(bundledJsonPath, JSON.stringify(bundledJson, null, 2));
+    }
+  }
+}
+
+/**
+ * Point publishConfig.registry at the target registry. npm publishes to it instead of the
+ * registry of the .npmrc, so a leftover source URL would publish back to the source.
+ * @returns {Array<{field: string, from: string, to: string}>} - Rewritten entries
+ */
+export function rewritePublishConfig(pkgJson, targetRegistryUrl) {
+  const registry = pkgJson.publishConfig?.registry;
+  const targetRegistry = `${targetRegistryUrl.replace(/\/+$/, "")}/`;
+  if (!registry || registry.replace(/\/+$/, "") === targetRegistryUrl.replace(/\/+$/, "")) {
+    return [];
+  }
+
+  pkgJson.publishConfig.registry = targetRegistry;
+  return [{ field: "publishConfig.registry", from: registry, to: targetRegistry }];
+}
+
+/**
+ * Rewrite the scope registry lines of an .npmrc and any reference to the source registry host
+ * @returns {{content: string, changes: Array<{field: string, from: string, to: string}>}}
+ */
+export function rewriteNpmrc(content, sourceOrg, targetOrg, sourceRegistryUrl, targetRegistryUrl) {
+  const sourceHost = new URL(sourceRegistryUrl).host;
+  const targetHost = new URL(targetRegistryUrl).host;
+  const changes = [];
+  const escapedOrg = sourceOrg.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  const lines = content.split("\n").map((line) => {
+    let newLine = line.replace(
+      new RegExp(`^(\\s*)@${escapedOrg}:registry\\s*=\\s*\\S*`, "i"),
+      `$1@${targetOrg}:registry=${targetRegistryUrl.replace(/\/+$/, "")}/`
+    );
+    if (sourceHost !== targetHost) {
+      newLine = newLine.split(`//${sourceHost}/`).join(`//${targetHost}/`);
+    }
+    if (newLine !== line) {
+      const mask = (value) => value.trim().replace(NPMRC_SECRET_KEYS, "$1$2***");
+      changes.push({ field: ".npmrc", from: mask(line), to: mask(newLine) });
+    }
+    return newLine;
+  });
+
+  return { content: lines.join("\n"), changes };
+}
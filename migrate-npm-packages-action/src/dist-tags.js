@@ -0,0 +1,84 @@
+import * as core from "@actions/core";
+import semver from "semver";
+import { runNpm } from "./npm.js";
+
+/**
+ * Sort version names in semver order, lowest first. Names that are not valid semver keep
+ * their relative order and go last.
+ */
+export function sortVersions(versionNames) {
+  const valid = versionNames.filter((version) => semver.valid(version));
+  const invalid = versionNames.filter((version) => !semver.valid(version));
+  return [...valid.sort(semver.compare), ...invalid];
+}
+
+/**
+ * Pick the dist-tag to publish a version with: a source dist-tag pointing at it, preferring
+ * latest, otherwise latest. Versions are published lowest first and every dist-tag is replayed
+ * afterwards, so latest always ends up where the source has it.
+ */
+export function getPublishTag(version, distTags = {}) {
+  const tags = Object.keys(distTags).filter((tag) => distTags[tag] === version);
+  return tags.includes("latest") || !tags.length ? "latest" : tags[0];
+}
+
+async function applyEach(items, description, operation) {
+  const counts = { succeeded: 0, failed: 0 };
+
+  for (const item of items) {
+    try {
+      await operation(item);
+      counts.succeeded++;
+    } catch (error) {
+      core.warning(`Failed to ${description(item)}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Point every dist-tag of the source packument at the same version in the target, for the
+ * versions the target holds
+ * @param {string} targetName - Scoped package name in the target
+ * @param {Object} packument - Source packument, see fetchPackageManifest
+ * @param {Set<string>} targetVersions - Versions present in the target
+ * @returns {Promise<{succeeded: number, failed: number}>}
+ */
+export async function replayDistTags(targetName, packument, targetVersions, context) {
+  const { npmrcPath, ghTargetPat } = context;
+  const distTags = Object.entries(packument["dist-tags"] || {}).filter(([tag, version]) => {
+    if (targetVersions.has(version)) return true;
+    core.warning(`Not replaying dist-tag ${tag} of ${targetName}: version ${version} is not in the target`);
+    return false;
+  });
+
+  return applyEach(
+    distTags,
+    ([tag, version]) => `set dist-tag ${tag} of ${targetName} to ${version}`,
+    async ([tag, version]) => {
+      await runNpm(["dist-tag", "add", `${targetName}@${version}`, tag], npmrcPath, ghTargetPat);
+      core.info(`Set dist-tag ${tag} of ${targetName} to ${version}`);
+    }
+  );
+}
+
+/**
+ * Re-apply the deprecation messages of the source packument to the versions the target holds
+ * @returns {Promise<{succeeded: number, failed: number}>}
+ */
+export async function applyDeprecations(targetName, packument, targetVersions, context) {
+  const { npmrcPath, ghTargetPat } = context;
+  const deprecated = Object.entries(packument.versions || {})
+    .filter(([version, manifest]) => manifest.deprecated && targetVersions.has(version))
+    .map(([version, manifest]) => [version, manifest.deprecated]);
+
+  return applyEach(
+    deprecated,
+    ([version]) => `deprecate ${targetName}@${version}`,
+    async ([version, message]) => {
+      await runNpm(["deprecate", `${targetName}@${version}`, message], npmrcPath, ghTargetPat);
+      core.info(`Deprecated ${targetName}@${version}: ${message}`);
+    }
+  );
+}
@@ -0,0 +1,70 @@
+import { hashFile } from "../../shared/utils.js";
+
+// SRI algorithms npm produces, strongest first
+const SRI_ALGORITHMS = ["sha512", "sha384", "sha256", "sha1"];
+
+/**
+ * Format a digest as the SRI string npm records as dist.integrity
+ */
+export function formatIntegrity(algorithm, digest) {
+  return `${algorithm}-${digest.toString("base64")}`;
+}
+
+/**
+ * Compute the SRI string of a tarball on disk
+ */
+export async function computeIntegrity(filePath, algorithm = "sha512") {
+  return formatIntegrity(algorithm, await hashFile(filePath, algorithm));
+}
+
+/**
+ * Pick the strongest hash of an SRI string (which may list several, space separated)
+ * @returns {{algorithm: string, digest: string}|null}
+ */
+export function parseIntegrity(integrity) {
+  const hashes = (integrity || "")
+    .split(/\s+/)
+    .map((entry) => entry.match(/^(sha\d+)-([A-Za-z0-9+/=]+)(\?.*)?$/))
+    .filter((match) => match && SRI_ALGORITHMS.includes(match[1]))
+    .map((match) => ({ algorithm: match[1], digest: match[2] }));
+
+  hashes.sort((a, b) => SRI_ALGORITHMS.indexOf(a.algorithm) - SRI_ALGORITHMS.indexOf(b.algorithm));
+  return hashes[0] || null;
+}
+
+/**
+ * Algorithm to hash a download with so it can be checked against its packument entry
+ * @returns {string|null} - null when the entry has neither integrity nor shasum
+ */
+export function getIntegrityAlgorithm(dist) {
+  return parseIntegrity(dist?.integrity)?.algorithm || (dist?.shasum ? "sha1" : null);
+}
+
+/**
+ * Check a downloaded tarball against the dist.integrity (or, for old packages, dist.shasum)
+ * of its packument entry
+ * @param {Object} digests - Digests of the download by algorithm, see downloadToFile
+ * @returns {string|null} - The verified SRI string, or null when the packument has no hash to check
+ */
+export function verifyIntegrity(digests, dist, label) {
+  const expected = parseIntegrity(dist?.integrity);
+  if (expected) {
+    const actual = formatIntegrity(expected.algorithm, digests[expected.algorithm]);
+    if (actual !== `${expected.algorithm}-${expected.digest}`) {
+      throw new Error(
+        `Integrity check failed for ${label}: expected ${expected.algorithm}-${expected.digest}, got ${actual}`
+      );
+    }
+    return actual;
+  }
+
+  if (dist?.shasum) {
+    const actual = digests.sha1.toString("hex");
+    if (actual !== dist.shasum.toLowerCase()) {
+      throw new Error(`Integrity check failed for ${label}: expected shasum ${dist.shasum}, got ${actual}`);
+    }
+    return formatIntegrity("sha1", digests.sha1);
+  }
+
+  return null;
+}
@@ -8,9 +8,19 @@ import {
   migratePackagesWithContext,
   setupContext,
   withRetry,
+  isMigrationItemCompleted,
+  recordMigrationItem,
+  fetchTargetVersions,
+  createPlanEntry,
+  PLAN_ACTIONS,
+  mapPackageName,
+  formatPackageName,
+  getMaxDownloadSize,
+  filterVersions,
 } from "../../shared/utils.js";
 import { setupNpmAuthentication } from "./auth.js";
-import { processPackageVersion } from "./package.js";
+import { getVersionCoordinates, processPackageVersion, fetchPackageManifest } from "./package.js";
+import { sortVersions, getPublishTag, replayDistTags, applyDeprecations } from "./dist-tags.js";
 import { setupVersionWorkspace, resetWorkspace } from "./workspace.js";
 
 function buildSkipResult(packageName) {
@@ -20,11 +30,12 @@ function buildSkipResult(packageName) {
   });
 }
 
-async function migrateVersion(packageName, version, context) {
+async function migrateVersion(packageName, version, context, packument) {
   const versionDir = setupVersionWorkspace(context.tempDir, packageName, version);
+  const tag = getPublishTag(version, packument["dist-tags"]);
 
   try {
-    return await withRetry(() => processPackageVersion(packageName, version, context, versionDir), {
+    return await withRetry(() => processPackageVersion(packageName, version, context, versionDir, packument, tag), {
       onRetry: (error, attempt) => {
         core.info(`Retry attempt ${attempt} for ${packageName}@${version}. Error: ${error.message}`);
         core.debug(`Error details: ${JSON.stringify({ attempt }, null, 2)}`);
@@ -40,26 +51,128 @@ async function migratePackage(pkg, context) {
   const { octokitSource, sourceOrg } = context;
   const packageName = pkg.name;
   const repoName = pkg.repository?.name || null;
+  const targetPackageName = mapPackageName(packageName, context.packageMapping);
 
   core.info(`Migrating npm package: ${packageName}${repoName ? ` from repo: ${repoName}` : ""}`);
+  if (targetPackageName !== packageName) {
+    core.info(`Publishing ${packageName} as ${targetPackageName} per the package mapping`);
+  }
 
   const versions = await fetchPackageVersions(octokitSource, sourceOrg, packageName, "npm");
   if (!versions.length) {
     return buildSkipResult(packageName);
   }
 
-  const versionNames = versions.map((version) => version.name);
+  const { versions: selectedVersions, skipped: filteredVersions } = filterVersions(versions, context.versionFilters);
+  if (filteredVersions.length) {
+    core.info(`Leaving out ${filteredVersions.length} versions of ${packageName} per the version filters`);
+  }
+
+  const versionNames = sortVersions(selectedVersions.map((version) => version.name));
   core.info(`Found ${versionNames.length} versions for package ${packageName}`);
 
+  const targetVersions = await fetchTargetVersions(context, packageName, "npm");
+  const existingVersions = new Set(targetVersions.map((version) => version.name));
+
   let successCount = 0;
   let failureCount = 0;
+  let resumedCount = 0;
+  let alreadyPresentCount = 0;
+  const plan = [];
+  const pendingVersions = [];
+  // Versions the target holds once the run is over, which dist-tags and deprecations can apply to
+  const migratedVersions = new Set();
 
   for (const version of versionNames) {
-    const success = await migrateVersion(packageName, version, context);
-    success ? successCount++ : failureCount++;
+    const { source, target } = getVersionCoordinates(packageName, version, context);
+
+    if (isMigrationItemCompleted(context.journal, packageName, version)) {
+      core.info(`Skipping ${packageName} version ${version}, already migrated by a previous run`);
+      resumedCount++;
+      migratedVersions.add(version);
+      plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.RESUMED));
+      continue;
+    }
+
+    if (existingVersions.has(version)) {
+      core.info(`Skipping ${packageName} version ${version}, already present in ${context.targetOrg}`);
+      recordMigrationItem(context.journal, packageName, version, "completed");
+      alreadyPresentCount++;
+      migratedVersions.add(version);
+      plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.ALREADY_PRESENT));
+      continue;
+    }
+
+    if (context.dryRun) {
+      plan.push(createPlanEntry(version, source, target));
+      continue;
+    }
+    pendingVersions.push(version);
   }
 
-  return createPackageResult(packageName, successCount, failureCount);
+  if (context.dryRun) {
+    for (const { version, reason } of filteredVersions) {
+      const { source, target } = getVersionCoordinates(packageName, version, context);
+      plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.FILTERED, reason));
+    }
+
+    return createPackageResult(packageName, 0, 0, {
+      targetPackage: targetPackageName,
+      resumed: resumedCount,
+      alreadyPresent: alreadyPresentCount,
+      skippedVersions: filteredVersions,
+      plan,
+    });
+  }
+
+  let packument;
+  try {
+    packument = await withRetry(() =>
+      fetchPackageManifest(packageName, context.sourceRegistryUrl, sourceOrg, context.ghSourcePat)
+    );
+  } catch (error) {
+    core.error(`Cannot migrate the versions of ${packageName} without its manifest: ${error.message}`);
+    pendingVersions.forEach((version) => recordMigrationItem(context.journal, packageName, version, "failed"));
+    return createPackageResult(packageName, 0, pendingVersions.length, {
+      targetPackage: targetPackageName,
+      resumed: resumedCount,
+      alreadyPresent: alreadyPresentCount,
+      skippedVersions: filteredVersions,
+    });
+  }
+
+  const integrity = [];
+  // Publish one version at a time, lowest first, so the target registry sees the versions in
+  // the same order as the source did
+  for (const version of pendingVersions) {
+    recordMigrationItem(context.journal, packageName, version, "pending");
+    const published = await context.workerPool.run(() => migrateVersion(packageName, version, context, packument));
+    recordMigrationItem(context.journal, packageName, version, published ? "completed" : "failed");
+    if (!published) {
+      failureCount++;
+      continue;
+    }
+
+    successCount++;
+    migratedVersions.add(version);
+    integrity.push({ version, source: published.sourceIntegrity, target: published.targetIntegrity });
+  }
+
+  const targetName = formatPackageName(packageName, context.targetOrg, "npm", context.packageMapping);
+  const distTags = await replayDistTags(targetName, packument, migratedVersions, context);
+  const deprecations = await applyDeprecations(targetName, packument, migratedVersions, context);
+
+  return createPackageResult(packageName, successCount, failureCount, {
+    targetPackage: targetPackageName,
+    resumed: resumedCount,
+    alreadyPresent: alreadyPresentCount,
+    skippedVersions: filteredVersions,
+    distTagsSucceeded: distTags.succeeded,
+    distTagsFailed: distTags.failed,
+    deprecationsSucceeded: deprecations.succeeded,
+    deprecationsFailed: deprecations.failed,
+    integrity,
+  });
 }
 
 async function setupMigrationContext() {
@@ -67,18 +180,14 @@ async function setupMigrationContext() {
   const baseContext = setupContext(core, "npm");
   const repoName = core.getInput("repo-name", { required: false });
 
-  const npmrcPath = setupNpmAuthentication(
-    tempDir,
-    baseContext.targetOrg,
-    baseContext.targetRegistryUrl,
-    baseContext.ghTargetPat
-  );
+  const npmrcPath = setupNpmAuthentication(tempDir, baseContext.targetOrg, baseContext.targetRegistryUrl);
 
   return {
     ...baseContext,
     tempDir,
     npmrcPath,
     repoName,
+    maxDownloadSize: getMaxDownloadSize(core),
   };
 }
 
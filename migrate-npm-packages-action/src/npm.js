@@ -0,0 +1,25 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { redactSecrets } from "../../shared/utils.js";
+import { NPM_TOKEN_ENV } from "./auth.js";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run an npm command against the target registry. It runs asynchronously so concurrently
+ * migrated versions do not block each other, and the token only reaches npm through its
+ * environment, see setupNpmAuthentication.
+ * @returns {Promise<string>} - Redacted stdout of the command
+ */
+export async function runNpm(args, npmrcPath, token, options = {}) {
+  try {
+    const { stdout } = await execFileAsync("npm", [...args, "--userconfig", npmrcPath], {
+      ...options,
+      encoding: "utf-8",
+      env: { ...process.env, [NPM_TOKEN_ENV]: token },
+    });
+    return redactSecrets(stdout);
+  } catch (error) {
+    throw new Error(redactSecrets(error.stderr || error.message));
+  }
+}
@@ -2,62 +2,122 @@ import * as core from "@actions/core";
 import fs from "fs";
 import path from "path";
 import axios from "axios";
-import * as tar from "tar";
-import { execSync } from "child_process";
-import { trackResource } from "../../shared/utils.js";
+import { trackResource, formatPackageName, mapPackageName, downloadToFile } from "../../shared/utils.js";
 import { updateRepositoryDetails } from "./repository.js";
+import { rewriteDependencies, moveBundledDependencies, rewritePublishConfig, rewriteNpmrc } from "./dependencies.js";
+import { runNpm } from "./npm.js";
+import { verifyIntegrity, computeIntegrity, getIntegrityAlgorithm } from "./integrity.js";
+import { extractTarball, repackTarball } from "./tarball.js";
 
-async function downloadPackage(tarballUrl, ghSourcePat) {
-  return await axios.get(tarballUrl, {
-    responseType: "arraybuffer",
-    headers: { Authorization: `token ${ghSourcePat}` },
-  });
+async function extractPackage(tarballPath, versionDir) {
+  try {
+    return await extractTarball(tarballPath, path.join(versionDir, "tarball"));
+  } finally {
+    fs.unlinkSync(tarballPath);
+  }
 }
 
-async function extractPackage(packageData, packageDir) {
-  const tmpFile = path.join(packageDir, "temp.tgz");
-  fs.writeFileSync(tmpFile, Buffer.from(packageData));
-
-  await tar.x({
-    cwd: packageDir,
-    file: tmpFile,
-    strip: 1,
+/**
+ * Download a version tarball, check it against the integrity of its packument entry and extract it
+ * @returns {Promise<{tarball: Object, integrity: string|null}>} - Extracted tarball (see extractTarball)
+ * and its verified integrity
+ */
+export async function downloadAndExtractPackage(dist, versionDir, context, label) {
+  const tarballPath = path.join(versionDir, "source.tgz");
+  const algorithm = getIntegrityAlgorithm(dist);
+  const { digests } = await downloadToFile(dist.tarball, tarballPath, {
+    headers: { Authorization: `token ${context.ghSourcePat}` },
+    maxBytes: context.maxDownloadSize,
+    label,
+    algorithms: algorithm ? [algorithm] : [],
   });
 
-  fs.unlinkSync(tmpFile);
-  return packageDir;
+  const integrity = verifyIntegrity(digests, dist, label);
+  if (integrity) {
+    core.debug(`Verified ${label} against ${integrity}`);
+  } else {
+    core.warning(`No integrity or shasum published for ${label}, the download cannot be verified`);
+  }
+
+  return { tarball: await extractPackage(tarballPath, versionDir), integrity };
+}
+
+function updatePackageName(pkgJson, sourceOrg, targetOrg, targetPackageName) {
+  if (pkgJson.name.startsWith(`@${sourceOrg}/`)) {
+    pkgJson.name = formatPackageName(targetPackageName, targetOrg, "npm");
+  }
 }
 
-export async function downloadAndExtractPackage(tarballUrl, packageDir, ghSourcePat) {
-  const response = await downloadPackage(tarballUrl, ghSourcePat);
-  return extractPackage(response.data, packageDir);
+/**
+ * Rewrite a bundled .npmrc, which npm would otherwise keep pointing the source scope at the source registry
+ */
+function updateBundledNpmrc(packageDir, context) {
+  const npmrcPath = path.join(packageDir, ".npmrc");
+  if (!fs.existsSync(npmrcPath)) {
+    return [];
+  }
+
+  const { sourceOrg, targetOrg, sourceRegistryUrl, targetRegistryUrl } = context;
+  const { content, changes } = rewriteNpmrc(
+    fs.readFileSync(npmrcPath, "utf8"),
+    sourceOrg,
+    targetOrg,
+    sourceRegistryUrl,
+    targetRegistryUrl
+  );
+  if (changes.length) {
+    fs.writeFileSync(npmrcPath, content);
+  }
+  return changes;
 }
 
-function updatePackageName(pkgJson, sourceOrg, targetOrg) {
-  pkgJson.name = pkgJson.name.replace(`@${sourceOrg}/`, `@${targetOrg}/`);
+function logMetadataChanges(pkgJson, changes) {
+  if (!changes.length) {
+    core.debug(`No references to rewrite in ${pkgJson.name}@${pkgJson.version}`);
+    return;
+  }
+
+  const lines = changes.map(({ field, from, to }) => `  ${field}: ${from} → ${to}`);
+  core.info(`Rewrote ${changes.length} references in ${pkgJson.name}@${pkgJson.version}:\n${lines.join("\n")}`);
 }
 
-export function updatePackageMetadata(packageDir, sourceOrg, targetOrg, targetApiUrl, repoName) {
+/**
+ * Rewrite the package.json of an extracted package for the target org: its name, the @sourceOrg
+ * dependencies, publishConfig.registry and repository, plus any bundled .npmrc
+ */
+export function updatePackageMetadata(packageDir, context, repoName, targetPackageName) {
+  const { sourceOrg, targetOrg, targetApiUrl, targetRegistryUrl, packageMapping } = context;
   const pkgJsonPath = path.join(packageDir, "package.json");
   const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, "utf8"));
 
-  updatePackageName(pkgJson, sourceOrg, targetOrg);
+  updatePackageName(pkgJson, sourceOrg, targetOrg, targetPackageName);
+
+  const dependencyChanges = rewriteDependencies(pkgJson, sourceOrg, targetOrg, packageMapping);
+  moveBundledDependencies(packageDir, dependencyChanges);
+  const changes = [
+    ...dependencyChanges,
+    ...rewritePublishConfig(pkgJson, targetRegistryUrl),
+    ...updateBundledNpmrc(packageDir, context),
+  ];
 
   if (repoName || pkgJson.repository) {
     updateRepositoryDetails(pkgJson, repoName, targetOrg, targetApiUrl);
   }
 
   fs.writeFileSync(pkgJsonPath, JSON.stringify(pkgJson, null, 2));
+  logMetadataChanges(pkgJson, changes);
   return pkgJson;
 }
 
-export function publishToRegistry(packageDir, npmrcPath, packageName, version) {
+/**
+ * Publish a tarball as is. npm neither runs the package's lifecycle scripts nor repacks its files.
+ * @returns {Promise<boolean>} - Whether the tarball was published
+ */
+export async function publishToRegistry(tarballPath, npmrcPath, ghTargetPat, packageName, version, tag = "latest") {
   try {
-    execSync(`npm publish --userconfig ${npmrcPath}`, {
-      cwd: packageDir,
-      stdio: "inherit",
-    });
-    core.info(`Published ${packageName}@${version} successfully`);
+    const stdout = await runNpm(["publish", tarballPath, "--tag", tag, "--ignore-scripts"], npmrcPath, ghTargetPat);
+    core.info(stdout);
+    core.info(`Published ${packageName}@${version} with dist-tag ${tag} successfully`);
     return true;
   } catch (error) {
     core.error(`Failed to publish package: ${error.message}`, packageName, version);
@@ -65,48 +125,74 @@ export function publishToRegistry(packageDir, npmrcPath, packageName, version) {
   }
 }
 
-export async function fetchPackageManifest(packageName, versionName, sourceRegistryUrl, sourceOrg, ghSourcePat) {
+export function getVersionCoordinates(packageName, version, context) {
+  const { sourceOrg, sourceRegistryUrl, targetOrg, targetRegistryUrl, packageMapping } = context;
+  return {
+    source: `${sourceRegistryUrl}/${formatPackageName(packageName, sourceOrg, "npm")}@${version}`,
+    target: `${targetRegistryUrl}/${formatPackageName(packageName, targetOrg, "npm", packageMapping)}@${version}`,
+  };
+}
+
+/**
+ * Fetch the packument of a source package: every version manifest with its tarball URL,
+ * deprecation message and integrity, plus the dist-tags
+ */
+export async function fetchPackageManifest(packageName, sourceRegistryUrl, sourceOrg, ghSourcePat) {
   const manifestUrl = `${sourceRegistryUrl}/@${sourceOrg}/${packageName}`;
 
   try {
     const manifest = await axios.get(manifestUrl, {
       headers: { Authorization: `token ${ghSourcePat}` },
     });
-
-    const tarballUrl = manifest.data.versions[versionName]?.dist.tarball;
-    if (!tarballUrl) {
-      core.warning("Version not found in manifest", packageName, versionName);
-      return null;
-    }
-
-    return tarballUrl;
+    return manifest.data;
   } catch (error) {
     if (error.response?.status === 401) {
-      core.error("Failed to authenticate with source registry", packageName, versionName);
+      core.error(`Failed to authenticate with source registry for ${packageName}`);
     } else if (error.response?.status === 404) {
-      core.warning("Package manifest not found", packageName, versionName);
+      core.warning(`Package manifest not found for ${packageName}`);
     } else {
-      core.error(`Failed to fetch manifest: ${error.message}`, packageName, versionName);
+      core.error(`Failed to fetch manifest of ${packageName}: ${error.message}`);
     }
     throw error;
   }
 }
 
-export async function processPackageVersion(packageName, version, context, versionDir) {
-  const { sourceOrg, sourceRegistryUrl, ghSourcePat, targetOrg, targetApiUrl, repoName, npmrcPath } = context;
+/**
+ * Migrate one version
+ * @returns {Promise<{sourceIntegrity: string|null, targetIntegrity: string|null}|null>} - Integrity of the
+ * source and published tarballs, or null when the version failed
+ */
+export async function processPackageVersion(packageName, version, context, versionDir, packument, tag) {
+  const { ghTargetPat, repoName, npmrcPath } = context;
 
   try {
-    const tarballUrl = await fetchPackageManifest(packageName, version, sourceRegistryUrl, sourceOrg, ghSourcePat);
-    if (!tarballUrl) return false;
+    const dist = packument.versions?.[version]?.dist;
+    if (!dist?.tarball) {
+      core.warning(`Version ${version} of ${packageName} not found in manifest`);
+      return null;
+    }
+
+    const { tarball, integrity } = await downloadAndExtractPackage(
+      dist,
+      versionDir,
+      context,
+      `${formatPackageName(packageName, context.sourceOrg, "npm")}@${version}`
+    );
+    trackResource(tarball.extractDir);
 
-    const packageDir = await downloadAndExtractPackage(tarballUrl, versionDir, ghSourcePat);
-    trackResource(packageDir);
+    const targetPackageName = mapPackageName(packageName, context.packageMapping);
+    updatePackageMetadata(tarball.packageDir, context, repoName, targetPackageName);
 
-    await updatePackageMetadata(packageDir, sourceOrg, targetOrg, targetApiUrl, repoName);
+    // Publish the original files with only the rewritten metadata changed, rather than what npm pack would produce
+    const tarballPath = await repackTarball(tarball, path.join(versionDir, "target.tgz"));
+    const targetIntegrity = await computeIntegrity(tarballPath);
 
-    return publishToRegistry(packageDir, npmrcPath, packageName, version);
+    if (!(await publishToRegistry(tarballPath, npmrcPath, ghTargetPat, packageName, version, tag))) {
+      return null;
+    }
+    return { sourceIntegrity: integrity, targetIntegrity };
   } catch (error) {
     core.error(error.message, packageName, version);
-    return false;
+    return null;
   }
 }
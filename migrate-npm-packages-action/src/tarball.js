@@ -0,0 +1,55 @@
+import fs from "fs";
+import path from "path";
+import * as tar from "tar";
+
+/**
+ * List the files under a directory, relative to it
+ */
+function listFiles(dir, prefix = "") {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap((entry) => {
+    const relativePath = path.posix.join(prefix, entry.name);
+    return entry.isDirectory() ? listFiles(dir, relativePath) : [relativePath];
+  });
+}
+
+/**
+ * Extract a package tarball, remembering its entries so it can be packed again unchanged
+ * @param {string} tarballPath - Path of the .tgz
+ * @param {string} extractDir - Directory to extract into
+ * @returns {Promise<{extractDir: string, packageDir: string, entries: Array<string>}>} - The
+ * extracted tarball; packageDir is its root folder, usually "package"
+ */
+export async function extractTarball(tarballPath, extractDir) {
+  const entries = [];
+  fs.mkdirSync(extractDir, { recursive: true });
+  await tar.x({
+    cwd: extractDir,
+    file: tarballPath,
+    onReadEntry: (entry) => entry.type !== "Directory" && entries.push(entry.path.replace(/^\.\//, "")),
+  });
+
+  const root = entries.find((entry) => entry.endsWith("/package.json") && entry.split("/").length === 2);
+  if (!root) {
+    throw new Error(`No package.json at the root of ${path.basename(tarballPath)}`);
+  }
+  return { extractDir, packageDir: path.join(extractDir, path.dirname(root)), entries };
+}
+
+/**
+ * Pack an extracted tarball again, with its entries in their original order. Unlike npm pack
+ * this runs no lifecycle scripts and applies no ignore rules, so only the files changed on disk
+ * differ from the original tarball. Entries that were moved are added at the end.
+ * @returns {Promise<string>} - Path of the new tarball
+ */
+export async function repackTarball(tarball, tarballPath) {
+  const { extractDir, entries } = tarball;
+  const original = new Set(entries);
+  const existing = entries.filter((entry) => fs.existsSync(path.join(extractDir, entry)));
+  const added = listFiles(extractDir).filter((entry) => !original.has(entry));
+
+  await tar.c({ cwd: extractDir, file: tarballPath, gzip: true, portable: true, noDirRecurse: true }, [
+    ...existing,
+    ...added,
+  ]);
+  return tarballPath;
+}
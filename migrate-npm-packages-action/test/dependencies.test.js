@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parsePackageMapping } from "../../shared/utils.js";
+import {
+  moveBundledDependencies,
+  rewriteDependencies,
+  rewriteNpmrc,
+  rewritePublishConfig,
+  rewriteScopedName,
+} from "../src/dependencies.js";
+
+const SOURCE_REGISTRY = "https://npm.pkg.github.com";
+const TARGET_REGISTRY = "https://npm.target.example.com";
+
+test("moves names of the source scope to the target org, applying the mapping", () => {
+  const mapping = parsePackageMapping(JSON.stringify({ "legacy-*": "platform-*" }), "npm");
+
+  assert.equal(rewriteScopedName("@acme/utils", "acme", "neworg", null), "@neworg/utils");
+  assert.equal(rewriteScopedName("@acme/legacy-api", "acme", "neworg", mapping), "@neworg/platform-api");
+  assert.equal(rewriteScopedName("@other/utils", "acme", "neworg", mapping), "@other/utils");
+  assert.equal(rewriteScopedName("lodash", "acme", "neworg", mapping), "lodash");
+});
+
+test("rewrites dependency entries and aliases in place, keeping their order", () => {
+  const pkgJson = {
+    dependencies: { lodash: "^4.0.0", "@acme/utils": "^1.2.0", "@other/lib": "1.0.0" },
+    devDependencies: { "@acme/test-kit": "workspace:*", helper: "npm:@acme/helper@^2.0.0" },
+    peerDependencies: { react: "^18.0.0" },
+  };
+
+  const changes = rewriteDependencies(pkgJson, "acme", "neworg", null);
+
+  assert.deepEqual(Object.keys(pkgJson.dependencies), ["lodash", "@neworg/utils", "@other/lib"]);
+  assert.equal(pkgJson.dependencies["@neworg/utils"], "^1.2.0");
+  assert.deepEqual(pkgJson.devDependencies, {
+    "@neworg/test-kit": "workspace:*",
+    helper: "npm:@neworg/helper@^2.0.0",
+  });
+  assert.deepEqual(pkgJson.peerDependencies, { react: "^18.0.0" });
+  assert.deepEqual(changes, [
+    { field: "dependencies", from: "@acme/utils@^1.2.0", to: "@neworg/utils@^1.2.0" },
+    { field: "devDependencies", from: "@acme/test-kit@workspace:*", to: "@neworg/test-kit@workspace:*" },
+    { field: "devDependencies", from: "helper@npm:@acme/helper@^2.0.0", to: "helper@npm:@neworg/helper@^2.0.0" },
+  ]);
+});
+
+test("moves rewritten bundled dependencies to their new path", (t) => {
+  const packageDir = fs.mkdtempSync(path.join(os.tmpdir(), "npm-bundle-"));
+  t.after(() => fs.rmSync(packageDir, { recursive: true, force: true }));
+  const bundledDir = path.join(packageDir, "node_modules", "@acme", "utils");
+  fs.mkdirSync(bundledDir, { recursive: true });
+  fs.writeFileSync(path.join(bundledDir, "package.json"), JSON.stringify({ name: "@acme/utils" }));
+  const pkgJson = { dependencies: { "@acme/utils": "1.0.0" }, bundledDependencies: ["@acme/utils", "lodash"] };
+
+  const changes = rewriteDependencies(pkgJson, "acme", "neworg", null);
+  moveBundledDependencies(packageDir, changes);
+
+  assert.deepEqual(pkgJson.bundledDependencies, ["@neworg/utils", "lodash"]);
+  assert.equal(fs.existsSync(path.join(packageDir, "node_modules", "@acme")), false);
+  const moved = JSON.parse(fs.readFileSync(path.join(packageDir, "node_modules", "@neworg", "utils", "package.json")));
+  assert.equal(moved.name, "@neworg/utils");
+});
+
+test("points publishConfig.registry at the target registry", () => {
+  const pkgJson = { publishConfig: { registry: "https://npm.pkg.github.com/acme", access: "restricted" } };
+
+  assert.deepEqual(rewritePublishConfig(pkgJson, TARGET_REGISTRY), [
+    { field: "publishConfig.registry", from: "https://npm.pkg.github.com/acme", to: `${TARGET_REGISTRY}/` },
+  ]);
+  assert.deepEqual(pkgJson.publishConfig, { registry: `${TARGET_REGISTRY}/`, access: "restricted" });
+  assert.deepEqual(rewritePublishConfig(pkgJson, TARGET_REGISTRY), []);
+  assert.deepEqual(rewritePublishConfig({ name: "@acme/utils" }, TARGET_REGISTRY), []);
+});
+
+test("rewrites the scope registry of the source org in an .npmrc", () => {
+  const npmrc = "@acme:registry=https://npm.pkg.github.com/\n//npm.pkg.github.com/:_authToken=secret\n";
+
+  const { content, changes } = rewriteNpmrc(npmrc, "acme", "neworg", SOURCE_REGISTRY, TARGET_REGISTRY);
+
+  assert.equal(
+    content,
+    "@neworg:registry=https://npm.target.example.com/\n//npm.target.example.com/:_authToken=secret\n"
+  );
+  assert.equal(changes[1].to, "//npm.target.example.com/:_authToken=***");
+});
+
+test("matches the source org literally in an .npmrc", () => {
+  const npmrc = "@acmeXio:registry=https://npm.pkg.github.com/\n";
+
+  const { content } = rewriteNpmrc(npmrc, "acme.io", "neworg", SOURCE_REGISTRY, SOURCE_REGISTRY);
+
+  assert.equal(content, npmrc);
+  assert.equal(
+    rewriteNpmrc("@acme.io:registry=https://npm.pkg.github.com/", "acme.io", "neworg", SOURCE_REGISTRY, SOURCE_REGISTRY)
+      .content,
+    "@neworg:registry=https://npm.pkg.github.com/"
+  );
+});
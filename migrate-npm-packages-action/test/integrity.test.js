@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { computeIntegrity, getIntegrityAlgorithm, parseIntegrity, verifyIntegrity } from "../src/integrity.js";
+
+const TARBALL = Buffer.from("tarball bytes");
+
+function digestsOf(data) {
+  return Object.fromEntries(
+    ["sha512", "sha1"].map((algorithm) => [algorithm, crypto.createHash(algorithm).update(data).digest()])
+  );
+}
+
+function sri(algorithm, data) {
+  return `${algorithm}-${crypto.createHash(algorithm).update(data).digest("base64")}`;
+}
+
+test("picks the strongest known hash of an SRI string", () => {
+  const integrity = `${sri("sha1", TARBALL)} ${sri("sha512", TARBALL)}?opt md5-abc`;
+
+  assert.deepEqual(parseIntegrity(integrity), { algorithm: "sha512", digest: sri("sha512", TARBALL).slice(7) });
+  assert.equal(parseIntegrity("md5-abc"), null);
+  assert.equal(parseIntegrity(undefined), null);
+});
+
+test("hashes with the algorithm the packument entry can be checked with", () => {
+  assert.equal(getIntegrityAlgorithm({ integrity: sri("sha512", TARBALL), shasum: "abc" }), "sha512");
+  assert.equal(getIntegrityAlgorithm({ shasum: "abc" }), "sha1");
+  assert.equal(getIntegrityAlgorithm({}), null);
+  assert.equal(getIntegrityAlgorithm(undefined), null);
+});
+
+test("computes the SRI string of a file on disk", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "npm-integrity-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tarballPath = path.join(dir, "package.tgz");
+  fs.writeFileSync(tarballPath, TARBALL);
+
+  assert.equal(await computeIntegrity(tarballPath), sri("sha512", TARBALL));
+  assert.equal(await computeIntegrity(tarballPath, "sha1"), sri("sha1", TARBALL));
+});
+
+test("verifies a download against dist.integrity or dist.shasum", () => {
+  const digests = digestsOf(TARBALL);
+  const shasum = crypto.createHash("sha1").update(TARBALL).digest("hex");
+
+  assert.equal(verifyIntegrity(digests, { integrity: sri("sha512", TARBALL) }, "pkg@1.0.0"), sri("sha512", TARBALL));
+  assert.equal(verifyIntegrity(digests, { shasum: shasum.toUpperCase() }, "pkg@1.0.0"), sri("sha1", TARBALL));
+  assert.equal(verifyIntegrity(digests, {}, "pkg@1.0.0"), null);
+});
+
+test("rejects a download that does not match its packument entry", () => {
+  const digests = digestsOf(Buffer.from("tampered bytes"));
+
+  assert.throws(
+    () => verifyIntegrity(digests, { integrity: sri("sha512", TARBALL) }, "pkg@1.0.0"),
+    /Integrity check failed for pkg@1\.0\.0: expected sha512-/
+  );
+  assert.throws(
+    () => verifyIntegrity(digests, { shasum: crypto.createHash("sha1").update(TARBALL).digest("hex") }, "pkg@1.0.0"),
+    /Integrity check failed for pkg@1\.0\.0: expected shasum/
+  );
+});
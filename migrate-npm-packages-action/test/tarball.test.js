@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import * as tar from "tar";
+import { extractTarball, repackTarball } from "../src/tarball.js";
+
+async function listEntries(tarballPath) {
+  const entries = [];
+  await tar.t({ file: tarballPath, onReadEntry: (entry) => entries.push(entry.path) });
+  return entries;
+}
+
+async function createTarball(dir, files) {
+  const sourceDir = path.join(dir, "source");
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, name), content);
+  }
+  const tarballPath = path.join(dir, "original.tgz");
+  await tar.c({ cwd: sourceDir, file: tarballPath, gzip: true, noDirRecurse: true }, Object.keys(files));
+  return tarballPath;
+}
+
+test("extracts a tarball and finds its package folder", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "npm-tarball-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tarballPath = await createTarball(dir, {
+    "package/README.md": "# utils",
+    "package/package.json": JSON.stringify({ name: "@acme/utils" }),
+    "package/lib/index.js": "module.exports = {};",
+  });
+
+  const tarball = await extractTarball(tarballPath, path.join(dir, "extract"));
+
+  assert.equal(tarball.packageDir, path.join(dir, "extract", "package"));
+  assert.deepEqual(tarball.entries, ["package/README.md", "package/package.json", "package/lib/index.js"]);
+});
+
+test("rejects a tarball without a package.json at its root", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "npm-tarball-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tarballPath = await createTarball(dir, { "package/lib/package.json": "{}" });
+
+  await assert.rejects(extractTarball(tarballPath, path.join(dir, "extract")), /No package.json at the root/);
+});
+
+test("repacks the entries in their original order, with moved files at the end", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "npm-tarball-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tarballPath = await createTarball(dir, {
+    "package/README.md": "# utils",
+    "package/package.json": JSON.stringify({ name: "@acme/utils" }),
+    "package/node_modules/@acme/helper/index.js": "module.exports = {};",
+    "package/.npmrc": "@acme:registry=https://npm.pkg.github.com/",
+  });
+  const tarball = await extractTarball(tarballPath, path.join(dir, "extract"));
+  fs.writeFileSync(path.join(tarball.packageDir, "package.json"), JSON.stringify({ name: "@neworg/utils" }));
+  fs.mkdirSync(path.join(tarball.packageDir, "node_modules", "@neworg"));
+  fs.renameSync(
+    path.join(tarball.packageDir, "node_modules", "@acme", "helper"),
+    path.join(tarball.packageDir, "node_modules", "@neworg", "helper")
+  );
+
+  const repacked = await repackTarball(tarball, path.join(dir, "repacked.tgz"));
+
+  assert.deepEqual(await listEntries(repacked), [
+    "package/README.md",
+    "package/package.json",
+    "package/.npmrc",
+    "package/node_modules/@neworg/helper/index.js",
+  ]);
+  const check = await extractTarball(repacked, path.join(dir, "check"));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(check.packageDir, "package.json"), "utf8")), {
+    name: "@neworg/utils",
+  });
+});
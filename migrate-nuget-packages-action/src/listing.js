@@ -0,0 +1,144 @@
+import * as core from "@actions/core";
+import axios from "axios";
+import { normalizeVersion } from "./nuspec.js";
+
+/**
+ * Version ordering and listing state of NuGet packages, read through the NuGet V3 API
+ */
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(version) {
+  const [release, ...prerelease] = version.split("+")[0].split("-");
+  const parts = release.split(".").map(Number);
+  while (parts.length < 4) parts.push(0);
+  return { parts, prerelease: prerelease.length ? prerelease.join("-").split(".") : [] };
+}
+
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) return Number(a) - Number(b);
+  if (aNumeric !== bNumeric) return aNumeric ? -1 : 1;
+  const [aLower, bLower] = [a.toLowerCase(), b.toLowerCase()];
+  return aLower < bLower ? -1 : aLower > bLower ? 1 : 0;
+}
+
+/**
+ * Compare two NuGet versions by SemVer 2.0 precedence, allowing the fourth version part NuGet
+ * supports. Build metadata is ignored and pre-release labels compare case-insensitively.
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  for (let i = 0; i < 4; i++) {
+    if (left.parts[i] !== right.parts[i]) return left.parts[i] - right.parts[i];
+  }
+  if (!left.prerelease.length || !right.prerelease.length) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+  for (let i = 0; i < Math.min(left.prerelease.length, right.prerelease.length); i++) {
+    const result = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (result) return result;
+  }
+  return left.prerelease.length - right.prerelease.length;
+}
+
+/**
+ * Sort version names lowest first. Names that are not NuGet versions keep their relative order
+ * and go last.
+ */
+export function sortVersions(versionNames) {
+  const valid = versionNames.filter((version) => VERSION_PATTERN.test(version));
+  const invalid = versionNames.filter((version) => !VERSION_PATTERN.test(version));
+  return [...valid.sort(compareVersions), ...invalid];
+}
+
+async function getJson(url, token) {
+  core.debug(`Fetching ${url}`);
+  const response = await axios.get(url, { headers: { Authorization: `token ${token}` } });
+  return response.data;
+}
+
+/**
+ * Find a resource of the source org's NuGet service index, e.g. RegistrationsBaseUrl
+ */
+function findResource(serviceIndex, type) {
+  const resource = (serviceIndex.resources || []).find((entry) =>
+    [].concat(entry["@type"]).some((resourceType) => resourceType === type || resourceType.startsWith(`${type}/`))
+  );
+  if (!resource) {
+    throw new Error(`The NuGet service index has no ${type} resource`);
+  }
+  return resource["@id"].replace(/\/+$/, "");
+}
+
+/**
+ * Read the unlisted versions from the package's registration index. Pages the index does not
+ * inline are fetched separately.
+ */
+async function fetchUnlistedFromRegistration(serviceIndex, packageName, token) {
+  const baseUrl = findResource(serviceIndex, "RegistrationsBaseUrl");
+  const registration = await getJson(`${baseUrl}/${packageName.toLowerCase()}/index.json`, token);
+  const unlisted = new Set();
+
+  for (const page of registration.items || []) {
+    const leaves = page.items || (await getJson(page["@id"], token)).items || [];
+    leaves
+      .filter((leaf) => leaf.catalogEntry?.listed === false)
+      .forEach((leaf) => unlisted.add(normalizeVersion(leaf.catalogEntry.version)));
+  }
+  return unlisted;
+}
+
+/**
+ * Read the unlisted versions from the search service, which only returns listed versions
+ */
+async function fetchUnlistedFromSearch(serviceIndex, packageName, versionNames, token) {
+  const baseUrl = findResource(serviceIndex, "SearchQueryService");
+  const query = new URLSearchParams({ q: `packageid:${packageName}`, prerelease: "true", semVerLevel: "2.0.0" });
+  const search = await getJson(`${baseUrl}?${query}`, token);
+  const match = (search.data || []).find((entry) => entry.id?.toLowerCase() === packageName.toLowerCase());
+  if (!match) {
+    throw new Error(`Search returned no entry for ${packageName}`);
+  }
+
+  const listed = new Set((match.versions || []).map((entry) => normalizeVersion(entry.version)));
+  return new Set(versionNames.map(normalizeVersion).filter((version) => !listed.has(version)));
+}
+
+/**
+ * Find which versions of a package are unlisted in the source registry, from its registration
+ * index, or from the search service when the registration cannot be read
+ * @param {string} packageName - Package id in the source
+ * @param {Array<string>} versionNames - Versions GitHub lists for the package
+ * @returns {Promise<Array<string>|null>} - The unlisted versions, null when the listing state
+ * could not be read
+ */
+export async function fetchUnlistedVersions(packageName, versionNames, context) {
+  const { sourceRegistryUrl, sourceOrg, ghSourcePat } = context;
+
+  let serviceIndex;
+  try {
+    serviceIndex = await getJson(`${sourceRegistryUrl.replace(/\/+$/, "")}/${sourceOrg}/index.json`, ghSourcePat);
+  } catch (error) {
+    core.warning(`Cannot read the NuGet service index of ${sourceOrg}: ${error.message}`);
+    return null;
+  }
+
+  let unlisted;
+  try {
+    unlisted = await fetchUnlistedFromRegistration(serviceIndex, packageName, ghSourcePat);
+  } catch (error) {
+    core.info(`Cannot read the registration of ${packageName} (${error.message}), falling back to search`);
+    try {
+      unlisted = await fetchUnlistedFromSearch(serviceIndex, packageName, versionNames, ghSourcePat);
+    } catch (searchError) {
+      core.warning(`Cannot read the listing state of ${packageName}: ${searchError.message}`);
+      return null;
+    }
+  }
+
+  return versionNames.filter((version) => unlisted.has(normalizeVersion(version)));
+}
@@ -7,9 +7,17 @@ import {
   migratePackagesWithContext,
   setupContext,
   withRetry,
+  isMigrationItemCompleted,
+  recordMigrationItem,
+  fetchTargetVersions,
+  createPlanEntry,
+  PLAN_ACTIONS,
+  mapPackageName,
+  getMaxDownloadSize,
+  filterVersions,
 } from "../../shared/utils.js";
-import { checkDotNetInstallation, setupGpr } from "./dotnet-tools.js";
-import { processPackageVersion } from "./package.js";
+import { getVersionCoordinates, processPackageVersion, unlistVersions } from "./package.js";
+import { fetchUnlistedVersions, sortVersions } from "./listing.js";
 import { setupEnvironment, setupVersionWorkspace } from "./workspace.js";
 
 function buildSkipResult(packageName) {
@@ -19,38 +27,124 @@ function buildSkipResult(packageName) {
   });
 }
 
-async function migrateVersion(packageName, version, repoName, context, tempDir, gprPath) {
+async function migrateVersion(packageName, version, repoName, context, tempDir) {
   const versionDir = setupVersionWorkspace(tempDir, packageName, version);
-  return withRetry(() => processPackageVersion(packageName, version, repoName, context, versionDir, gprPath), {
-    onRetry: (error, attempt) => {
-      core.info(`Retry attempt ${attempt} for ${packageName} version ${version}. Error: ${error.message}`);
-    },
-  });
+
+  try {
+    return await withRetry(() => processPackageVersion(packageName, version, repoName, context, versionDir), {
+      onRetry: (error, attempt) => {
+        core.info(`Retry attempt ${attempt} for ${packageName} version ${version}. Error: ${error.message}`);
+      },
+    });
+  } finally {
+    cleanupTempDir(versionDir);
+  }
 }
 
 async function migratePackage(pkg, context) {
-  const { octokitSource, sourceOrg, tempDir, gprPath } = context;
+  const { octokitSource, sourceOrg, tempDir } = context;
   const packageName = pkg.name;
   const repoName = pkg.repository?.name;
+  const targetPackageName = mapPackageName(packageName, context.packageMapping);
 
   core.info(`Migrating NuGet package: ${packageName}${repoName ? ` from repo: ${repoName}` : ""}`);
+  if (targetPackageName !== packageName) {
+    core.info(`Pushing ${packageName} as ${targetPackageName} per the package mapping`);
+  }
 
   const versions = await fetchPackageVersions(octokitSource, sourceOrg, packageName, "nuget");
   if (!versions.length) {
     return buildSkipResult(packageName);
   }
 
-  const versionNames = versions.map((version) => version.name);
+  const { versions: selectedVersions, skipped: filteredVersions } = filterVersions(versions, context.versionFilters);
+  if (filteredVersions.length) {
+    core.info(`Leaving out ${filteredVersions.length} versions of ${packageName} per the version filters`);
+  }
+
+  const versionNames = sortVersions(selectedVersions.map((version) => version.name));
   core.info(`Found ${versionNames.length} versions for package ${packageName}`);
 
-  const results = await Promise.all(
-    versionNames.map((version) => migrateVersion(packageName, version, repoName, context, tempDir, gprPath))
+  const unfinishedVersions = versionNames.filter(
+    (version) => !isMigrationItemCompleted(context.journal, packageName, version)
   );
+  const resumedCount = versionNames.length - unfinishedVersions.length;
+  if (resumedCount) {
+    core.info(`Skipping ${resumedCount} versions of ${packageName} already migrated by a previous run`);
+  }
+
+  const targetVersions = await fetchTargetVersions(context, packageName, "nuget");
+  const existingVersions = new Set(targetVersions.map((version) => version.name));
+  const pendingVersions = unfinishedVersions.filter((version) => !existingVersions.has(version));
+  const alreadyPresentCount = unfinishedVersions.length - pendingVersions.length;
+  if (alreadyPresentCount) {
+    core.info(`Skipping ${alreadyPresentCount} versions of ${packageName} already present in ${context.targetOrg}`);
+    unfinishedVersions
+      .filter((version) => existingVersions.has(version))
+      .forEach((version) => recordMigrationItem(context.journal, packageName, version, "completed"));
+  }
+
+  if (context.dryRun) {
+    const plan = versionNames.map((version) => {
+      const { source, target } = getVersionCoordinates(packageName, version, context);
+      if (!unfinishedVersions.includes(version)) {
+        return createPlanEntry(version, source, target, PLAN_ACTIONS.RESUMED);
+      }
+      if (existingVersions.has(version)) {
+        return createPlanEntry(version, source, target, PLAN_ACTIONS.ALREADY_PRESENT);
+      }
+      return createPlanEntry(version, source, target);
+    });
+    for (const { version, reason } of filteredVersions) {
+      const { source, target } = getVersionCoordinates(packageName, version, context);
+      plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.FILTERED, reason));
+    }
+
+    return createPackageResult(packageName, 0, 0, {
+      targetPackage: targetPackageName,
+      resumed: resumedCount,
+      alreadyPresent: alreadyPresentCount,
+      skippedVersions: filteredVersions,
+      plan,
+    });
+  }
 
-  const successCount = results.filter(Boolean).length;
-  const failureCount = versionNames.length - successCount;
+  const unlistedVersions = await fetchUnlistedVersions(packageName, versionNames, context);
 
-  return createPackageResult(packageName, successCount, failureCount);
+  const results = [];
+  // Push one version at a time, lowest first, so the target resolves the latest version the
+  // same way the source does
+  for (const version of pendingVersions) {
+    recordMigrationItem(context.journal, packageName, version, "pending");
+    const outcome = await context.workerPool.run(() =>
+      migrateVersion(packageName, version, repoName, context, tempDir)
+    );
+    // A skipped version is not in the target, so the journal counts it as failed for the next run
+    recordMigrationItem(context.journal, packageName, version, outcome.status === "completed" ? "completed" : "failed");
+    results.push({ version, ...outcome });
+  }
+
+  // Unlist what is unlisted in the source among the versions the target now holds, including
+  // those migrated before this run
+  const failedVersions = new Set(results.filter(({ status }) => status !== "completed").map(({ version }) => version));
+  const toUnlist = (unlistedVersions || []).filter((version) => !failedVersions.has(version));
+  const unlisting = await unlistVersions(targetPackageName, toUnlist, context);
+
+  const countStatus = (status) => results.filter((result) => result.status === status).length;
+
+  return createPackageResult(packageName, countStatus("completed"), countStatus("failed"), {
+    targetPackage: targetPackageName,
+    resumed: resumedCount,
+    alreadyPresent: alreadyPresentCount,
+    skippedVersions: [
+      ...filteredVersions,
+      ...results.filter(({ status }) => status === "skipped").map(({ version, reason }) => ({ version, reason })),
+    ],
+    symbolsSucceeded: results.filter(({ symbols }) => symbols === true).length,
+    symbolsFailed: results.filter(({ symbols }) => symbols === false).length,
+    unlisted: unlisting.unlisted,
+    unlistFailures: unlisting.failures,
+  });
 }
 
 export async function run() {
@@ -63,10 +157,8 @@ export async function run() {
       return;
     }
 
-    checkDotNetInstallation();
     tempDir = setupEnvironment();
-    const gprPath = setupGpr(tempDir);
-    const context = { ...setupContext(core, "nuget"), tempDir, gprPath };
+    const context = { ...setupContext(core, "nuget"), tempDir, maxDownloadSize: getMaxDownloadSize(core) };
 
     await migratePackagesWithContext(packages, context, migratePackage, "nuget");
   } catch (error) {
@@ -0,0 +1,128 @@
+import { getBaseHostname } from "../../shared/utils.js";
+
+/**
+ * Minimal .nuspec rewriting on the raw XML, so everything we do not touch stays byte for byte
+ */
+
+// Metadata elements holding URLs that may point at the source org
+const URL_ELEMENTS = ["projectUrl", "licenseUrl", "iconUrl"];
+
+/**
+ * Build the URL GitHub uses to link a NuGet package to its repository
+ */
+export function buildRepositoryUrl(targetApiUrl, targetOrg, repoName) {
+  return `https://${getBaseHostname(targetApiUrl)}/${targetOrg}/${repoName}`;
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Read the text of a metadata element, e.g. <id> or <version>
+ */
+export function readElement(nuspec, name) {
+  return nuspec.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1] ?? null;
+}
+
+/**
+ * Normalize a NuGet version the way the gallery does: no build metadata, no fourth part when
+ * it is zero, at least three parts, case-insensitive
+ */
+export function normalizeVersion(version) {
+  const [release, ...prerelease] = version.split("+")[0].split("-");
+  const parts = release.split(".").map((part) => String(Number(part)));
+  while (parts.length < 3) parts.push("0");
+  if (parts.length === 4 && parts[3] === "0") parts.pop();
+  return [parts.join("."), ...prerelease].join("-").toLowerCase();
+}
+
+/**
+ * Check that a nuspec describes the package version we asked the registry for. A mismatch
+ * means the registry would file the push under another id or version.
+ * @returns {string|null} - Why the nuspec does not match, or null when it does
+ */
+export function checkIdentity(nuspec, packageName, version) {
+  const id = readElement(nuspec, "id");
+  const nuspecVersion = readElement(nuspec, "version");
+
+  if (!id || !nuspecVersion) {
+    return "The .nuspec has no id or version";
+  }
+  if (id.toLowerCase() !== packageName.toLowerCase()) {
+    return `The .nuspec id ${id} does not match package ${packageName}`;
+  }
+  if (normalizeVersion(nuspecVersion) !== normalizeVersion(version)) {
+    return `The .nuspec version ${nuspecVersion} does not match version ${version}`;
+  }
+  return null;
+}
+
+/**
+ * Point the <repository> element of a nuspec at a repository, adding the element when the
+ * package has none. Other attributes (type, branch, commit) are kept.
+ */
+export function setRepository(nuspec, repositoryUrl) {
+  const url = escapeXml(repositoryUrl);
+  const existing = nuspec.match(/<repository\b[^>]*?\/?>/);
+
+  if (existing) {
+    const element = /\burl="[^"]*"/.test(existing[0])
+      ? existing[0].replace(/\burl="[^"]*"/, `url="${url}"`)
+      : existing[0].replace(/<repository\b/, `<repository url="${url}"`);
+    return nuspec.replace(existing[0], element);
+  }
+
+  const indent = nuspec.match(/\n([ \t]*)<id>/)?.[1] || "    ";
+  return nuspec.replace(
+    /([ \t]*)<\/metadata>/,
+    (closing, closingIndent) => `${indent}<repository type="git" url="${url}" />\n${closingIndent}</metadata>`
+  );
+}
+
+/**
+ * Rewrite a nuspec for the target org: the id when the package is renamed, the <repository>
+ * element, and source host/org URLs in projectUrl, licenseUrl, iconUrl and repository.
+ * Without a repository to link to, a repository URL in the source org is moved to the target org.
+ * @param {string} nuspec - Nuspec XML
+ * @param {Object} options - sourceApiUrl, sourceOrg, targetApiUrl, targetOrg, targetPackageName
+ * and repositoryUrl (null to only move source org URLs)
+ * @returns {{nuspec: string, changes: Array<{field: string, from: string, to: string}>}}
+ */
+export function rewriteNuspec(nuspec, options) {
+  const { sourceApiUrl, sourceOrg, targetApiUrl, targetOrg, targetPackageName, repositoryUrl } = options;
+  const changes = [];
+  const sourceUrl = new RegExp(
+    `(https?://)(?:www\\.)?${escapeRegex(getBaseHostname(sourceApiUrl))}/${escapeRegex(sourceOrg)}(?=[/"<?#]|$)`,
+    "gi"
+  );
+  const moveUrl = (value) => value.replace(sourceUrl, `$1${getBaseHostname(targetApiUrl)}/${targetOrg}`);
+  let result = nuspec;
+
+  const id = readElement(result, "id");
+  if (targetPackageName && id && id !== targetPackageName) {
+    result = result.replace(/<id>[^<]*<\/id>/, `<id>${targetPackageName}</id>`);
+    changes.push({ field: "id", from: id, to: targetPackageName });
+  }
+
+  for (const name of URL_ELEMENTS) {
+    const value = readElement(result, name);
+    if (value && moveUrl(value) !== value) {
+      result = result.replace(`<${name}>${value}</${name}>`, `<${name}>${moveUrl(value)}</${name}>`);
+      changes.push({ field: name, from: value, to: moveUrl(value) });
+    }
+  }
+
+  const repository = result.match(/<repository\b[^>]*?\burl="([^"]*)"/)?.[1] || null;
+  const newRepository = repositoryUrl || (repository && moveUrl(repository));
+  if (newRepository && newRepository !== repository) {
+    result = setRepository(result, newRepository);
+    changes.push({ field: "repository", from: repository || "(none)", to: newRepository });
+  }
+
+  return { nuspec: result, changes };
+}
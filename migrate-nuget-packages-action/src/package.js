@@ -1,35 +1,88 @@
 import * as core from "@actions/core";
 import fs from "fs";
 import path from "path";
-import axios from "axios";
 import AdmZip from "adm-zip";
-import { spawnSync } from "child_process";
-import { trackResource } from "../../shared/utils.js";
+import axios from "axios";
+import { redactSecrets, formatPackageName, mapPackageName, downloadToFile, withRetry } from "../../shared/utils.js";
+import { buildRepositoryUrl, checkIdentity, rewriteNuspec } from "./nuspec.js";
+
+// Push endpoints of the NuGet V2 API by file extension
+const PUSH_ENDPOINTS = { nupkg: "package", snupkg: "symbolpackage" };
+
+function buildDownloadUrl(registryUrl, org, packageName, version, extension = "nupkg") {
+  return `${registryUrl}/${org}/download/${packageName}/${version}/${packageName}.${version}.${extension}`;
+}
+
+export function getVersionCoordinates(packageName, version, context) {
+  const { sourceOrg, sourceRegistryUrl, targetOrg, targetRegistryUrl, packageMapping } = context;
+  const targetPackageName = formatPackageName(packageName, targetOrg, "nuget", packageMapping);
+  return {
+    source: buildDownloadUrl(sourceRegistryUrl, sourceOrg, packageName, version),
+    target: buildDownloadUrl(targetRegistryUrl, targetOrg, targetPackageName, version),
+  };
+}
 
-async function downloadPackage(packageName, version, sourceOrg, sourceRegistryUrl, token, outputDir) {
-  const outputPath = path.join(outputDir, `${packageName}_${version}.nupkg`);
-  trackResource(outputPath);
+async function downloadPackage(packageName, version, context, outputDir, extension = "nupkg") {
+  const { sourceOrg, sourceRegistryUrl, ghSourcePat, maxDownloadSize } = context;
+  const outputPath = path.join(outputDir, `${packageName}_${version}.${extension}`);
 
-  const url = `${sourceRegistryUrl}/${sourceOrg}/download/${packageName}/${version}/${packageName}.${version}.nupkg`;
-  core.info(`Downloading ${packageName} version ${version}`);
+  const url = buildDownloadUrl(sourceRegistryUrl, sourceOrg, packageName, version, extension);
+  core.info(`Downloading ${packageName} version ${version} (.${extension})`);
   core.debug(`Download URL: ${url}`);
 
-  const response = await axios({
-    method: "get",
-    url: url,
+  await downloadToFile(url, outputPath, {
     headers: {
-      Authorization: `token ${token}`,
+      Authorization: `token ${ghSourcePat}`,
       Accept: "application/octet-stream",
     },
-    responseType: "arraybuffer",
+    maxBytes: maxDownloadSize,
+    label: `${packageName} ${version} (.${extension})`,
   });
 
-  fs.writeFileSync(outputPath, response.data);
-  core.info(`Successfully downloaded ${packageName} version ${version}`);
+  core.info(`Successfully downloaded ${packageName} version ${version} (.${extension})`);
   return outputPath;
 }
 
-function fixNuGetPackage(packagePath, packageName, version) {
+/**
+ * Error for a package version that cannot be migrated as is and is skipped rather than failed
+ */
+function buildSkipError(reason) {
+  const error = new Error(reason);
+  error.skipReason = reason;
+  return error;
+}
+
+/**
+ * Rewrite the nuspec of a package for the target (see rewriteNuspec) after checking that it
+ * describes the requested package version
+ */
+function updateNuspec(zip, packageName, version, nuspecOptions) {
+  const nuspecEntry = zip
+    .getEntries()
+    .find((entry) => !entry.entryName.includes("/") && entry.entryName.endsWith(".nuspec"));
+  if (!nuspecEntry) {
+    throw buildSkipError(`No .nuspec found in ${packageName} ${version}`);
+  }
+
+  const sourceNuspec = nuspecEntry.getData().toString("utf8");
+  const mismatch = checkIdentity(sourceNuspec, packageName, version);
+  if (mismatch) {
+    throw buildSkipError(mismatch);
+  }
+
+  const { nuspec, changes } = rewriteNuspec(sourceNuspec, nuspecOptions);
+  if (!changes.length) {
+    core.debug(`No .nuspec changes needed for ${packageName} ${version}`);
+    return;
+  }
+
+  zip.deleteFile(nuspecEntry.entryName);
+  zip.addFile(`${nuspecOptions.targetPackageName}.nuspec`, Buffer.from(nuspec));
+  const lines = changes.map(({ field, from, to }) => `  ${field}: ${from} → ${to}`);
+  core.info(`Rewrote the .nuspec of ${packageName} ${version}:\n${lines.join("\n")}`);
+}
+
+function fixNuGetPackage(packagePath, packageName, version, nuspecOptions) {
   core.info(`Fixing NuGet package: ${packagePath}`);
   const zip = new AdmZip(packagePath);
   const filesToRemove = ["_rels/.rels", "[Content_Types].xml"];
@@ -44,52 +97,167 @@ function fixNuGetPackage(packagePath, packageName, version) {
     }
   });
 
+  updateNuspec(zip, packageName, version, nuspecOptions);
+
   zip.writeZip(packagePath);
   core.info("Successfully fixed NuGet package");
   return true;
 }
 
-function pushPackage(packagePath, gprPath, targetOrg, repoName, token, targetApiUrl, packageName, version) {
-  const targetInfo = repoName ? `${targetOrg}/${repoName}` : targetOrg;
-  core.info(`Pushing ${packageName} to ${targetInfo}`);
+/**
+ * Headers the NuGet V2 API authenticates with, both the API key and basic auth
+ */
+function buildApiHeaders(token) {
+  return {
+    "X-NuGet-ApiKey": token,
+    Authorization: `Basic ${Buffer.from(`USERNAME:${token}`).toString("base64")}`,
+  };
+}
+
+/**
+ * Push a package with the NuGet V2 push API (PUT api/v2/package, or api/v2/symbolpackage for
+ * a .snupkg), the endpoints `dotnet nuget push` uses. The package is streamed from disk as
+ * multipart form data.
+ */
+async function pushPackage(packagePath, targetRegistryUrl, targetOrg, token, packageName, version) {
+  const extension = path.extname(packagePath).substring(1);
+  const pushUrl = `${targetRegistryUrl.replace(/\/+$/, "")}/${targetOrg}/api/v2/${PUSH_ENDPOINTS[extension]}`;
+  core.info(`Pushing ${packageName} version ${version} (.${extension}) to ${targetOrg}`);
+  core.debug(`Push URL: ${pushUrl}`);
 
-  const gprArgs = ["push", packagePath, "-k", token];
+  const form = new FormData();
+  form.append("package", await fs.openAsBlob(packagePath), path.basename(packagePath));
 
-  if (repoName) {
-    const url = new URL(targetApiUrl);
-    const targetHostname = url.hostname.startsWith("api.") ? url.hostname.substring(4) : url.hostname;
-    gprArgs.push("--repository", `https://${targetHostname}/${targetOrg}/${repoName}`);
-  }
+  const response = await axios.put(pushUrl, form, {
+    headers: buildApiHeaders(token),
+    maxBodyLength: Infinity,
+    validateStatus: () => true,
+  });
 
-  const result = spawnSync(gprPath, gprArgs, { stdio: "pipe", encoding: "utf-8" });
-  if (result.status !== 0) {
-    const errorMessage = result.stderr?.toLowerCase().includes("unauthorized")
-      ? "Failed to authenticate with target registry"
-      : `GPR push failed: ${result.stderr || result.stdout}`;
-    throw new Error(errorMessage);
+  if (response.status === 401 || response.status === 403) {
+    throw new Error("Failed to authenticate with target registry");
+  }
+  if (response.status === 409) {
+    throw new Error(`Version ${version} of ${packageName} (.${extension}) already exists in ${targetOrg}`);
+  }
+  if (response.status >= 400) {
+    const detail = typeof response.data === "string" ? response.data : JSON.stringify(response.data);
+    throw new Error(`NuGet push failed with status ${response.status}: ${redactSecrets(detail)}`);
   }
 
-  core.info(`Successfully pushed ${packageName} version ${version}`);
+  core.info(`Successfully pushed ${packageName} version ${version} (.${extension})`);
   return true;
 }
 
-export async function processPackageVersion(packageName, version, repoName, context, tempDir, gprPath) {
-  const { sourceOrg, sourceRegistryUrl, targetOrg, targetApiUrl, ghSourcePat, ghTargetPat } = context;
+/**
+ * Unlist a version in the target with the NuGet V2 delete API (DELETE api/v2/package/{id}/{version}),
+ * the request `dotnet nuget delete` sends
+ */
+async function unlistVersion(targetRegistryUrl, targetOrg, token, packageName, version) {
+  const unlistUrl = `${targetRegistryUrl.replace(/\/+$/, "")}/${targetOrg}/api/v2/package/${encodeURIComponent(
+    packageName
+  )}/${encodeURIComponent(version)}`;
+  core.debug(`Unlist URL: ${unlistUrl}`);
+
+  const response = await axios.delete(unlistUrl, { headers: buildApiHeaders(token), validateStatus: () => true });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error("Failed to authenticate with target registry");
+  }
+  if (response.status >= 400) {
+    const detail = typeof response.data === "string" ? response.data : JSON.stringify(response.data);
+    throw new Error(`NuGet unlist failed with status ${response.status}: ${redactSecrets(detail)}`);
+  }
+}
+
+/**
+ * Unlist versions in the target, one at a time
+ * @param {string} packageName - Package id in the target
+ * @param {Array<string>} versions - Versions to unlist
+ * @returns {Promise<{unlisted: number, failures: Array<{version: string, reason: string}>}>}
+ */
+export async function unlistVersions(packageName, versions, context) {
+  const { targetRegistryUrl, targetOrg, ghTargetPat } = context;
+  const failures = [];
 
+  for (const version of versions) {
+    try {
+      await withRetry(() => unlistVersion(targetRegistryUrl, targetOrg, ghTargetPat, packageName, version));
+      core.info(`Unlisted ${packageName} version ${version} in ${targetOrg}`);
+    } catch (error) {
+      core.warning(`Failed to unlist ${packageName} version ${version}: ${error.message}`);
+      failures.push({ version, reason: error.message });
+    }
+  }
+  return { unlisted: versions.length - failures.length, failures };
+}
+
+/**
+ * Migrate the symbol package (.snupkg) published next to a version, if there is one. Symbols
+ * are pushed after the package they belong to and their failure does not fail the version.
+ * @returns {Promise<boolean|null>} - Whether the symbols were pushed, null when the version has none
+ */
+async function migrateSymbols(packageName, version, context, tempDir, nuspecOptions) {
+  const { targetRegistryUrl, targetOrg, ghTargetPat } = context;
+
+  let symbolsPath;
   try {
-    const packagePath = await downloadPackage(packageName, version, sourceOrg, sourceRegistryUrl, ghSourcePat, tempDir);
-    await fixNuGetPackage(packagePath, packageName, version);
-    await pushPackage(packagePath, gprPath, targetOrg, repoName, ghTargetPat, targetApiUrl, packageName, version);
+    symbolsPath = await downloadPackage(packageName, version, context, tempDir, "snupkg");
+  } catch (error) {
+    if (error.response?.status === 404) {
+      core.debug(`No symbol package published for ${packageName} ${version}`);
+      return null;
+    }
+    core.warning(`Failed to download the symbols of ${packageName} ${version}: ${error.message}`);
+    return false;
+  }
+
+  try {
+    fixNuGetPackage(symbolsPath, packageName, version, nuspecOptions);
+    await pushPackage(symbolsPath, targetRegistryUrl, targetOrg, ghTargetPat, nuspecOptions.targetPackageName, version);
     return true;
+  } catch (error) {
+    core.warning(`Failed to migrate the symbols of ${packageName} ${version}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Migrate one version and its symbol package
+ * @returns {Promise<{status: string, reason?: string, symbols?: boolean|null}>} - "completed", "failed" or
+ * "skipped" (with the reason), and whether symbols were pushed (null when the version has none)
+ */
+export async function processPackageVersion(packageName, version, repoName, context, tempDir) {
+  const { sourceApiUrl, sourceOrg, targetOrg, targetApiUrl, targetRegistryUrl, ghTargetPat } = context;
+  const targetPackageName = mapPackageName(packageName, context.packageMapping);
+  const nuspecOptions = {
+    sourceApiUrl,
+    sourceOrg,
+    targetApiUrl,
+    targetOrg,
+    targetPackageName,
+    repositoryUrl: repoName ? buildRepositoryUrl(targetApiUrl, targetOrg, repoName) : null,
+  };
+
+  try {
+    const packagePath = await downloadPackage(packageName, version, context, tempDir);
+    fixNuGetPackage(packagePath, packageName, version, nuspecOptions);
+    await pushPackage(packagePath, targetRegistryUrl, targetOrg, ghTargetPat, targetPackageName, version);
   } catch (error) {
     const status = error.response?.status;
-    if (status === 401) {
+    if (error.skipReason) {
+      core.warning(`Skipping ${packageName} ${version}: ${error.skipReason}`);
+      return { status: "skipped", reason: error.skipReason };
+    } else if (status === 401) {
       core.error(`Authentication failed for ${packageName} ${version}`);
     } else if (status === 404) {
       core.info(`Package/version not found for ${packageName} ${version}`);
     } else {
       core.error(`Migration failed: ${error.message} for ${packageName} ${version}`);
     }
-    return false;
+    return { status: "failed" };
   }
+
+  const symbols = await migrateSymbols(packageName, version, context, tempDir, nuspecOptions);
+  return { status: "completed", symbols };
 }
@@ -0,0 +1,81 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { compareVersions, fetchUnlistedVersions, sortVersions } from "../src/listing.js";
+
+let documents;
+let server;
+let baseUrl;
+let context;
+
+beforeEach(async () => {
+  documents = new Map();
+  server = http.createServer((req, res) => {
+    const document = documents.get(req.url);
+    res.writeHead(document ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(document || {}));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  context = { sourceRegistryUrl: baseUrl, sourceOrg: "acme", ghSourcePat: "pat" };
+  documents.set("/acme/index.json", {
+    resources: [
+      { "@id": `${baseUrl}/registration/`, "@type": "RegistrationsBaseUrl/3.6.0" },
+      { "@id": `${baseUrl}/query`, "@type": "SearchQueryService" },
+    ],
+  });
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function leaf(version, listed) {
+  return { catalogEntry: { version, listed } };
+}
+
+test("orders versions by SemVer precedence with a fourth part", () => {
+  assert.ok(compareVersions("1.0.0", "1.0.0.1") < 0);
+  assert.ok(compareVersions("1.0.0-beta", "1.0.0") < 0);
+  assert.ok(compareVersions("1.0.0-alpha.2", "1.0.0-alpha.10") < 0);
+  assert.ok(compareVersions("1.0.0-Beta", "1.0.0-alpha.1") > 0);
+  assert.equal(compareVersions("1.0", "1.0.0+build"), 0);
+});
+
+test("sorts versions lowest first with unparseable names last", () => {
+  assert.deepEqual(sortVersions(["2.0.0", "latest", "1.10.0", "1.2.0-rc.1", "1.2.0", "1.9"]), [
+    "1.2.0-rc.1",
+    "1.2.0",
+    "1.9",
+    "1.10.0",
+    "2.0.0",
+    "latest",
+  ]);
+});
+
+test("reads the unlisted versions from the registration, fetching pages that are not inlined", async () => {
+  documents.set("/registration/acme.utils/index.json", {
+    items: [{ items: [leaf("1.0.0", true), leaf("1.1.0", false)] }, { "@id": `${baseUrl}/registration/page/2.json` }],
+  });
+  documents.set("/registration/page/2.json", { items: [leaf("2.0.0-Beta", false), leaf("2.0.0", true)] });
+
+  const unlisted = await fetchUnlistedVersions("Acme.Utils", ["1.0.0", "1.1", "2.0.0-beta", "2.0.0"], context);
+
+  assert.deepEqual(unlisted, ["1.1", "2.0.0-beta"]);
+});
+
+test("falls back to search when the registration cannot be read", async () => {
+  documents.set("/query?q=packageid%3AAcme.Utils&prerelease=true&semVerLevel=2.0.0", {
+    data: [{ id: "acme.utils", versions: [{ version: "1.0.0" }, { version: "2.0.0" }] }],
+  });
+
+  const unlisted = await fetchUnlistedVersions("Acme.Utils", ["1.0.0", "1.1.0", "2.0.0"], context);
+
+  assert.deepEqual(unlisted, ["1.1.0"]);
+});
+
+test("returns null when the listing state cannot be read", async () => {
+  assert.equal(await fetchUnlistedVersions("Acme.Utils", ["1.0.0"], context), null);
+  documents.delete("/acme/index.json");
+  assert.equal(await fetchUnlistedVersions("Acme.Utils", ["1.0.0"], context), null);
+});
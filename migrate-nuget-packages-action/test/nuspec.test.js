@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRepositoryUrl, checkIdentity, normalizeVersion, rewriteNuspec, setRepository } from "../src/nuspec.js";
+
+const NUSPEC = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://schemas.microsoft.com/packaging/2013/05/nuspec.xsd">
+  <metadata>
+    <id>Acme.Utils</id>
+    <version>1.2.0</version>
+    <projectUrl>https://github.com/acme/utils</projectUrl>
+    <iconUrl>https://example.com/acme/icon.png</iconUrl>
+    <repository type="git" url="https://github.com/acme/utils" commit="abc123" />
+  </metadata>
+</package>`;
+
+const OPTIONS = {
+  sourceApiUrl: "https://api.github.com",
+  sourceOrg: "acme",
+  targetApiUrl: "https://api.github.com",
+  targetOrg: "neworg",
+  targetPackageName: "Acme.Utils",
+  repositoryUrl: null,
+};
+
+test("normalizes versions the way the NuGet gallery does", () => {
+  assert.equal(normalizeVersion("1.2"), "1.2.0");
+  assert.equal(normalizeVersion("1.02.3.0"), "1.2.3");
+  assert.equal(normalizeVersion("1.2.3.4"), "1.2.3.4");
+  assert.equal(normalizeVersion("1.2.3-Beta.1+build.5"), "1.2.3-beta.1");
+});
+
+test("checks that the nuspec describes the requested package version", () => {
+  assert.equal(checkIdentity(NUSPEC, "acme.utils", "1.2"), null);
+  assert.equal(
+    checkIdentity(NUSPEC, "Acme.Other", "1.2.0"),
+    "The .nuspec id Acme.Utils does not match package Acme.Other"
+  );
+  assert.equal(checkIdentity(NUSPEC, "Acme.Utils", "1.3.0"), "The .nuspec version 1.2.0 does not match version 1.3.0");
+  assert.equal(
+    checkIdentity("<package><metadata /></package>", "Acme.Utils", "1.2.0"),
+    "The .nuspec has no id or version"
+  );
+});
+
+test("moves source org URLs to the target org and leaves other URLs alone", () => {
+  const { nuspec, changes } = rewriteNuspec(NUSPEC, OPTIONS);
+
+  assert.match(nuspec, /<projectUrl>https:\/\/github\.com\/neworg\/utils<\/projectUrl>/);
+  assert.match(nuspec, /<iconUrl>https:\/\/example\.com\/acme\/icon\.png<\/iconUrl>/);
+  assert.match(nuspec, /<repository type="git" url="https:\/\/github\.com\/neworg\/utils" commit="abc123" \/>/);
+  assert.deepEqual(
+    changes.map(({ field }) => field),
+    ["projectUrl", "repository"]
+  );
+});
+
+test("does not move URLs of an org whose name starts with the source org", () => {
+  const nuspec = NUSPEC.replace(/github\.com\/acme\//g, "github.com/acme-labs/");
+
+  assert.deepEqual(rewriteNuspec(nuspec, OPTIONS), { nuspec, changes: [] });
+});
+
+test("renames the id and links the repository the package is migrated with", () => {
+  const repositoryUrl = buildRepositoryUrl("https://api.github.com", "neworg", "platform");
+
+  const { nuspec, changes } = rewriteNuspec(NUSPEC, { ...OPTIONS, targetPackageName: "NewOrg.Utils", repositoryUrl });
+
+  assert.equal(repositoryUrl, "https://github.com/neworg/platform");
+  assert.match(nuspec, /<id>NewOrg\.Utils<\/id>/);
+  assert.match(nuspec, /<repository type="git" url="https:\/\/github\.com\/neworg\/platform" commit="abc123" \/>/);
+  assert.deepEqual(changes[0], { field: "id", from: "Acme.Utils", to: "NewOrg.Utils" });
+});
+
+test("adds a repository element to a nuspec without one", () => {
+  const nuspec = NUSPEC.replace(/\s*<repository[^>]*\/>/, "");
+
+  assert.equal(
+    setRepository(nuspec, "https://github.com/neworg/a&b"),
+    nuspec.replace(
+      "  </metadata>",
+      '    <repository type="git" url="https://github.com/neworg/a&amp;b" />\n  </metadata>'
+    )
+  );
+});
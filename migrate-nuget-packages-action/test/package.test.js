@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import { processPackageVersion } from "../src/package.js";
+
+const NUSPEC = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://schemas.microsoft.com/packaging/2013/05/nuspec.xsd">
+  <metadata>
+    <id>Acme.Utils</id>
+    <version>1.2.0</version>
+    <repository type="git" url="https://github.com/acme/utils" />
+  </metadata>
+</package>`;
+
+let files;
+let pushes;
+let failedPushes;
+let server;
+let context;
+let tempDir;
+
+beforeEach(async () => {
+  files = new Map();
+  pushes = new Map();
+  failedPushes = new Set();
+  server = http.createServer(async (req, res) => {
+    if (req.method === "PUT") {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const form = await new Response(Buffer.concat(chunks), { headers: req.headers }).formData();
+      pushes.set(req.url, Buffer.from(await form.get("package").arrayBuffer()));
+      res.writeHead(failedPushes.has(req.url) ? 500 : 201);
+      res.end();
+      return;
+    }
+    const data = files.get(req.url);
+    res.writeHead(data ? 200 : 404);
+    res.end(data);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const registryUrl = `http://127.0.0.1:${server.address().port}`;
+  context = {
+    sourceApiUrl: "https://api.github.com",
+    sourceOrg: "acme",
+    sourceRegistryUrl: registryUrl,
+    ghSourcePat: "source-pat",
+    targetApiUrl: "https://api.github.com",
+    targetOrg: "neworg",
+    targetRegistryUrl: registryUrl,
+    ghTargetPat: "target-pat",
+    packageMapping: null,
+  };
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nuget-"));
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function publish(extension, content) {
+  const zip = new AdmZip();
+  zip.addFile("Acme.Utils.nuspec", Buffer.from(NUSPEC));
+  zip.addFile(extension === "nupkg" ? "lib/net8.0/Acme.Utils.dll" : "lib/net8.0/Acme.Utils.pdb", Buffer.from(content));
+  files.set(`/acme/download/Acme.Utils/1.2.0/Acme.Utils.1.2.0.${extension}`, zip.toBuffer());
+}
+
+function pushedNuspec(endpoint) {
+  return new AdmZip(pushes.get(`/neworg/api/v2/${endpoint}`)).readAsText("Acme.Utils.nuspec");
+}
+
+test("pushes the package and its symbols with the same rewritten nuspec", async () => {
+  publish("nupkg", "assembly");
+  publish("snupkg", "symbols");
+
+  const outcome = await processPackageVersion("Acme.Utils", "1.2.0", "platform", context, tempDir);
+
+  assert.deepEqual(outcome, { status: "completed", symbols: true });
+  for (const endpoint of ["package", "symbolpackage"]) {
+    assert.match(pushedNuspec(endpoint), /<repository type="git" url="https:\/\/github\.com\/neworg\/platform" \/>/);
+  }
+  const symbols = new AdmZip(pushes.get("/neworg/api/v2/symbolpackage"));
+  assert.equal(symbols.readAsText("lib/net8.0/Acme.Utils.pdb"), "symbols");
+});
+
+test("completes a version that has no symbol package", async () => {
+  publish("nupkg", "assembly");
+
+  const outcome = await processPackageVersion("Acme.Utils", "1.2.0", null, context, tempDir);
+
+  assert.deepEqual(outcome, { status: "completed", symbols: null });
+  assert.deepEqual([...pushes.keys()], ["/neworg/api/v2/package"]);
+  assert.match(pushedNuspec("package"), /url="https:\/\/github\.com\/neworg\/utils"/);
+});
+
+test("does not fail the version when its symbols cannot be pushed", async () => {
+  publish("nupkg", "assembly");
+  publish("snupkg", "symbols");
+  failedPushes.add("/neworg/api/v2/symbolpackage");
+
+  const outcome = await processPackageVersion("Acme.Utils", "1.2.0", null, context, tempDir);
+
+  assert.deepEqual(outcome, { status: "completed", symbols: false });
+});
@@ -0,0 +1,7 @@
+/**
+ * This file is the entrypoint for the action
+ */
+import { run } from "./src/main.js";
+
+// It calls the actual logic of the action
+run();
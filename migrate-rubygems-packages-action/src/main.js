@@ -0,0 +1,138 @@
+import * as core from "@actions/core";
+import {
+  parsePackagesInput,
+  cleanupTempDir,
+  fetchPackageVersions,
+  createPackageResult,
+  migratePackagesWithContext,
+  setupContext,
+  withRetry,
+  isMigrationItemCompleted,
+  recordMigrationItem,
+  fetchTargetVersions,
+  createPlanEntry,
+  PLAN_ACTIONS,
+  mapPackageName,
+} from "../../shared/utils.js";
+import { getVersionCoordinates, processPackageVersion } from "./package.js";
+import { setupEnvironment, setupVersionWorkspace } from "./workspace.js";
+
+function buildSkipResult(packageName, reason = "No versions found") {
+  return createPackageResult(packageName, 0, 0, {
+    skipped: true,
+    reason,
+  });
+}
+
+async function migrateVersion(packageName, version, repoName, context) {
+  const versionDir = setupVersionWorkspace(context.tempDir, packageName, version);
+
+  try {
+    return await withRetry(() => processPackageVersion(packageName, version, repoName, context, versionDir), {
+      onRetry: (error, attempt) => {
+        core.info(`Retry attempt ${attempt} for ${packageName} version ${version}. Error: ${error.message}`);
+      },
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 401) {
+      core.error(`Authentication failed for ${packageName} ${version}`);
+    } else if (status === 404) {
+      core.info(`Package/version not found for ${packageName} ${version}`);
+    } else {
+      core.error(`Migration failed: ${error.message} for ${packageName} ${version}`);
+    }
+    return false;
+  } finally {
+    cleanupTempDir(versionDir);
+  }
+}
+
+async function migratePackage(pkg, context) {
+  const { octokitSource, sourceOrg } = context;
+  const packageName = pkg.name;
+  const repoName = pkg.repository?.name || null;
+
+  core.info(`Migrating RubyGems package: ${packageName}${repoName ? ` from repo: ${repoName}` : ""}`);
+
+  // The gem name is part of every file inside the gem, so gems are not renamed
+  if (mapPackageName(packageName, context.packageMapping) !== packageName) {
+    core.warning(`Skipping ${packageName}: renaming RubyGems packages through package_mapping is not supported`);
+    return buildSkipResult(packageName, "Renaming gems is not supported");
+  }
+
+  const versions = await fetchPackageVersions(octokitSource, sourceOrg, packageName, "rubygems");
+  if (!versions.length) {
+    return buildSkipResult(packageName);
+  }
+
+  const versionNames = versions.map((version) => version.name);
+  core.info(`Found ${versionNames.length} versions for package ${packageName}`);
+
+  const targetVersions = await fetchTargetVersions(context, packageName, "rubygems");
+  const existingVersions = new Set(targetVersions.map((version) => version.name));
+
+  let successCount = 0;
+  let failureCount = 0;
+  let resumedCount = 0;
+  let alreadyPresentCount = 0;
+  const plan = [];
+
+  await Promise.all(
+    versionNames.map(async (version) => {
+      const { source, target } = getVersionCoordinates(packageName, version, context);
+
+      if (isMigrationItemCompleted(context.journal, packageName, version)) {
+        core.info(`Skipping ${packageName} version ${version}, already migrated by a previous run`);
+        resumedCount++;
+        plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.RESUMED));
+        return;
+      }
+
+      if (existingVersions.has(version)) {
+        core.info(`Skipping ${packageName} version ${version}, already present in ${context.targetOrg}`);
+        recordMigrationItem(context.journal, packageName, version, "completed");
+        alreadyPresentCount++;
+        plan.push(createPlanEntry(version, source, target, PLAN_ACTIONS.ALREADY_PRESENT));
+        return;
+      }
+
+      if (context.dryRun) {
+        plan.push(createPlanEntry(version, source, target));
+        return;
+      }
+
+      recordMigrationItem(context.journal, packageName, version, "pending");
+      const success = await context.workerPool.run(() => migrateVersion(packageName, version, repoName, context));
+      recordMigrationItem(context.journal, packageName, version, success ? "completed" : "failed");
+      success ? successCount++ : failureCount++;
+    })
+  );
+
+  return createPackageResult(packageName, successCount, failureCount, {
+    resumed: resumedCount,
+    alreadyPresent: alreadyPresentCount,
+    plan: context.dryRun ? plan : undefined,
+  });
+}
+
+export async function run() {
+  let tempDir;
+  try {
+    const packages = parsePackagesInput(core.getInput("packages", { required: true }), "rubygems");
+    if (!packages.length) {
+      core.info("No RubyGems packages to migrate");
+      core.setOutput("result", JSON.stringify([]));
+      return;
+    }
+
+    tempDir = setupEnvironment();
+    const context = { ...setupContext(core, "rubygems"), tempDir };
+
+    await migratePackagesWithContext(packages, context, migratePackage, "rubygems");
+  } catch (error) {
+    core.error(`Action failed: ${error.message}`);
+  } finally {
+    tempDir && cleanupTempDir(tempDir);
+  }
+}
@@ -0,0 +1,129 @@
+import * as core from "@actions/core";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import crypto from "crypto";
+import * as tar from "tar";
+import { getBaseHostname } from "../../shared/utils.js";
+
+// Checksum sections of checksums.yaml mapped to their node crypto algorithm
+const CHECKSUM_ALGORITHMS = { SHA1: "sha1", SHA256: "sha256", SHA512: "sha512" };
+
+/**
+ * Build the github_repo metadata URI GitHub uses to link a gem to its repository
+ */
+export function buildGithubRepoUri(targetApiUrl, targetOrg, repoName) {
+  return `ssh://${getBaseHostname(targetApiUrl)}/${targetOrg}/${repoName}`;
+}
+
+function extractRepoName(existingUri) {
+  return (
+    existingUri
+      .split("/")
+      .pop()
+      .replace(/\.git$/, "") || null
+  );
+}
+
+/**
+ * Point the github_repo entry of a gem specification YAML at the target org.
+ * Adds the entry when the gem has none but the package is linked to a repository.
+ */
+export function rewriteGithubRepo(specYaml, targetApiUrl, targetOrg, repoName) {
+  const existing = specYaml.match(/^(\s+github_repo:\s*)(["']?)(\S+?)\2\s*$/m);
+
+  if (existing) {
+    const extractedName = repoName || extractRepoName(existing[3]);
+    if (!extractedName) return { specYaml, githubRepo: null };
+
+    const githubRepo = buildGithubRepoUri(targetApiUrl, targetOrg, extractedName);
+    return {
+      specYaml: specYaml.replace(existing[0], `${existing[1]}${githubRepo}`),
+      githubRepo,
+    };
+  }
+
+  if (!repoName) {
+    return { specYaml, githubRepo: null };
+  }
+
+  const githubRepo = buildGithubRepoUri(targetApiUrl, targetOrg, repoName);
+  const entry = `metadata:\n  github_repo: ${githubRepo}`;
+  if (/^metadata: \{\}\s*$/m.test(specYaml)) {
+    return { specYaml: specYaml.replace(/^metadata: \{\}[ \t]*$/m, entry), githubRepo };
+  }
+  if (/^metadata:\s*$/m.test(specYaml)) {
+    return { specYaml: specYaml.replace(/^metadata:[ \t]*$/m, entry), githubRepo };
+  }
+  return { specYaml: `${specYaml.trimEnd()}\n${entry}\n`, githubRepo };
+}
+
+/**
+ * Refresh the metadata.gz digests recorded in checksums.yaml
+ */
+function updateChecksums(checksumsYaml, metadataGz) {
+  let algorithm = null;
+
+  return checksumsYaml
+    .split("\n")
+    .map((line) => {
+      const section = line.match(/^(SHA\d+):\s*$/);
+      if (section) {
+        algorithm = CHECKSUM_ALGORITHMS[section[1]] || null;
+        return line;
+      }
+
+      const entry = line.match(/^(\s+metadata\.gz:\s*)\S+/);
+      if (entry && algorithm) {
+        return `${entry[1]}${crypto.createHash(algorithm).update(metadataGz).digest("hex")}`;
+      }
+      return line;
+    })
+    .join("\n");
+}
+
+/**
+ * Rewrite the metadata of a .gem in place so it links to the target host/org
+ * @returns {string|null} - The new github_repo URI, or null when the gem was left untouched
+ */
+export async function rewriteGemMetadata(gemPath, workDir, targetApiUrl, targetOrg, repoName) {
+  const extractDir = path.join(workDir, "gem");
+  fs.mkdirSync(extractDir, { recursive: true });
+  await tar.x({ file: gemPath, cwd: extractDir });
+
+  const entries = fs.readdirSync(extractDir);
+  const metadataPath = path.join(extractDir, "metadata.gz");
+  if (!fs.existsSync(metadataPath)) {
+    throw new Error(`Invalid gem, metadata.gz missing from ${path.basename(gemPath)}`);
+  }
+
+  const specYaml = zlib.gunzipSync(fs.readFileSync(metadataPath)).toString("utf8");
+  const rewritten = rewriteGithubRepo(specYaml, targetApiUrl, targetOrg, repoName);
+  if (!rewritten.githubRepo || rewritten.specYaml === specYaml) {
+    core.debug(`No github_repo change needed for ${path.basename(gemPath)}`);
+    return null;
+  }
+
+  const metadataGz = zlib.gzipSync(rewritten.specYaml);
+  fs.writeFileSync(metadataPath, metadataGz);
+
+  const checksumsPath = path.join(extractDir, "checksums.yaml.gz");
+  if (fs.existsSync(checksumsPath)) {
+    const checksumsYaml = zlib.gunzipSync(fs.readFileSync(checksumsPath)).toString("utf8");
+    fs.writeFileSync(checksumsPath, zlib.gzipSync(updateChecksums(checksumsYaml, metadataGz)));
+  }
+
+  // Signatures cannot survive a metadata change
+  const signatures = entries.filter((entry) => entry.endsWith(".sig"));
+  if (signatures.length) {
+    core.warning(`Dropping gem signatures invalidated by the metadata rewrite: ${signatures.join(", ")}`);
+  }
+
+  await tar.c(
+    { file: gemPath, cwd: extractDir, portable: true },
+    entries.filter((entry) => !entry.endsWith(".sig"))
+  );
+
+  core.info(`Updated github_repo to: ${rewritten.githubRepo}`);
+  return rewritten.githubRepo;
+}
@@ -0,0 +1,70 @@
+import * as core from "@actions/core";
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { downloadToFile } from "../../shared/utils.js";
+import { rewriteGemMetadata } from "./metadata.js";
+
+function buildGemUrl(registryUrl, org, packageName, version) {
+  return `${registryUrl}/${org}/gems/${packageName}-${version}.gem`;
+}
+
+export function getVersionCoordinates(packageName, version, context) {
+  const { sourceOrg, sourceRegistryUrl, targetOrg, targetRegistryUrl } = context;
+  return {
+    source: buildGemUrl(sourceRegistryUrl, sourceOrg, packageName, version),
+    target: buildGemUrl(targetRegistryUrl, targetOrg, packageName, version),
+  };
+}
+
+async function downloadGem(packageName, version, sourceOrg, sourceRegistryUrl, token, outputDir) {
+  const outputPath = path.join(outputDir, `${packageName}-${version}.gem`);
+
+  const url = buildGemUrl(sourceRegistryUrl, sourceOrg, packageName, version);
+  core.info(`Downloading ${packageName} version ${version}`);
+  core.debug(`Download URL: ${url}`);
+
+  await downloadToFile(url, outputPath, {
+    headers: {
+      Authorization: `token ${token}`,
+      Accept: "application/octet-stream",
+    },
+    label: `${packageName} ${version}`,
+  });
+
+  core.info(`Successfully downloaded ${packageName} version ${version}`);
+  return outputPath;
+}
+
+/**
+ * Push a gem with the RubyGems push API, streaming it from disk
+ */
+async function pushGem(gemPath, targetOrg, targetRegistryUrl, token, packageName, version) {
+  core.info(`Pushing ${packageName} to ${targetOrg}`);
+
+  await axios({
+    method: "post",
+    url: `${targetRegistryUrl}/${targetOrg}/api/v1/gems`,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/octet-stream",
+    },
+    data: await fs.openAsBlob(gemPath),
+    maxBodyLength: Infinity,
+  });
+
+  core.info(`Successfully pushed ${packageName} version ${version}`);
+  return true;
+}
+
+/**
+ * Download a gem, rewrite its metadata and push it. Errors are thrown so the caller can retry them.
+ */
+export async function processPackageVersion(packageName, version, repoName, context, versionDir) {
+  const { sourceOrg, sourceRegistryUrl, targetOrg, targetApiUrl, targetRegistryUrl, ghSourcePat, ghTargetPat } =
+    context;
+
+  const gemPath = await downloadGem(packageName, version, sourceOrg, sourceRegistryUrl, ghSourcePat, versionDir);
+  await rewriteGemMetadata(gemPath, versionDir, targetApiUrl, targetOrg, repoName);
+  return pushGem(gemPath, targetOrg, targetRegistryUrl, ghTargetPat, packageName, version);
+}
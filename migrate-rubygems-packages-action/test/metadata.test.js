@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import * as tar from "tar";
+import { rewriteGemMetadata, rewriteGithubRepo } from "../src/metadata.js";
+
+const TARGET_API_URL = "https://api.github.com";
+const SPEC = `--- !ruby/object:Gem::Specification
+name: acme-utils
+version: !ruby/object:Gem::Version
+  version: 1.2.0
+metadata:
+  github_repo: ssh://github.com/acme/utils.git
+  changelog_uri: https://github.com/acme/utils/CHANGELOG.md
+`;
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+test("points an existing github_repo entry at the target org", () => {
+  const { specYaml, githubRepo } = rewriteGithubRepo(SPEC, TARGET_API_URL, "neworg", null);
+
+  assert.equal(githubRepo, "ssh://github.com/neworg/utils");
+  assert.equal(specYaml, SPEC.replace("ssh://github.com/acme/utils.git", githubRepo));
+});
+
+test("links a gem without github_repo to the repository it is migrated with", () => {
+  const emptyMetadata = SPEC.replace(/metadata:[\s\S]*$/, "metadata: {}\n");
+  const withoutMetadata = SPEC.replace(/metadata:[\s\S]*$/, "");
+
+  assert.equal(
+    rewriteGithubRepo(emptyMetadata, TARGET_API_URL, "neworg", "platform").specYaml,
+    emptyMetadata.replace("metadata: {}", "metadata:\n  github_repo: ssh://github.com/neworg/platform")
+  );
+  assert.match(
+    rewriteGithubRepo(withoutMetadata, TARGET_API_URL, "neworg", "platform").specYaml,
+    /\nmetadata:\n  github_repo: ssh:\/\/github\.com\/neworg\/platform\n$/
+  );
+  assert.deepEqual(rewriteGithubRepo(withoutMetadata, TARGET_API_URL, "neworg", null), {
+    specYaml: withoutMetadata,
+    githubRepo: null,
+  });
+});
+
+test("rewrites the metadata of a .gem, refreshing its checksums and dropping its signatures", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gem-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sourceDir = path.join(dir, "source");
+  fs.mkdirSync(sourceDir);
+  const metadataGz = zlib.gzipSync(SPEC);
+  fs.writeFileSync(path.join(sourceDir, "metadata.gz"), metadataGz);
+  fs.writeFileSync(path.join(sourceDir, "data.tar.gz"), "data");
+  fs.writeFileSync(
+    path.join(sourceDir, "checksums.yaml.gz"),
+    zlib.gzipSync(`---\nSHA256:\n  metadata.gz: ${sha256(metadataGz)}\n  data.tar.gz: ${sha256("data")}\n`)
+  );
+  fs.writeFileSync(path.join(sourceDir, "metadata.gz.sig"), "signature");
+  const gemPath = path.join(dir, "acme-utils-1.2.0.gem");
+  await tar.c({ file: gemPath, cwd: sourceDir }, fs.readdirSync(sourceDir));
+
+  const githubRepo = await rewriteGemMetadata(gemPath, path.join(dir, "work"), TARGET_API_URL, "neworg", "platform");
+
+  assert.equal(githubRepo, "ssh://github.com/neworg/platform");
+  const checkDir = path.join(dir, "check");
+  fs.mkdirSync(checkDir);
+  await tar.x({ file: gemPath, cwd: checkDir });
+  assert.deepEqual(fs.readdirSync(checkDir).sort(), ["checksums.yaml.gz", "data.tar.gz", "metadata.gz"]);
+  const newMetadataGz = fs.readFileSync(path.join(checkDir, "metadata.gz"));
+  assert.match(zlib.gunzipSync(newMetadataGz).toString("utf8"), /github_repo: ssh:\/\/github\.com\/neworg\/platform/);
+  assert.equal(
+    zlib.gunzipSync(fs.readFileSync(path.join(checkDir, "checksums.yaml.gz"))).toString("utf8"),
+    `---\nSHA256:\n  metadata.gz: ${sha256(newMetadataGz)}\n  data.tar.gz: ${sha256("data")}\n`
+  );
+});
+
+test("leaves a gem already linked to the target untouched", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gem-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sourceDir = path.join(dir, "source");
+  fs.mkdirSync(sourceDir);
+  fs.writeFileSync(
+    path.join(sourceDir, "metadata.gz"),
+    zlib.gzipSync(SPEC.replace("ssh://github.com/acme/utils.git", "ssh://github.com/neworg/utils"))
+  );
+  const gemPath = path.join(dir, "acme-utils-1.2.0.gem");
+  await tar.c({ file: gemPath, cwd: sourceDir }, ["metadata.gz"]);
+  const original = fs.readFileSync(gemPath);
+
+  assert.equal(await rewriteGemMetadata(gemPath, path.join(dir, "work"), TARGET_API_URL, "neworg", null), null);
+  assert.deepEqual(fs.readFileSync(gemPath), original);
+});
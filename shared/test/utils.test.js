@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  flushMigrationJournal,
+  isMigrationItemCompleted,
+  loadMigrationJournal,
+  mapPackageName,
+  parseDateCutoff,
+  parsePackageMapping,
+  recordMigrationItem,
+  withRetry,
+} from "../utils.js";
+
+test("fills * placeholders with what the * wildcards matched, ignoring ?", () => {
+  const mapping = parsePackageMapping(
+    JSON.stringify({ "a?-*": "b-*", "?x-*-?-*": "y-*/*", "tools-*": "platform-tools-*" }),
+    "npm"
+  );
+
+  assert.equal(mapPackageName("ab-rest", mapping), "b-rest");
+  assert.equal(mapPackageName("zx-api-1-web", mapping), "y-api/web");
+  assert.equal(mapPackageName("tools-cli", mapping), "platform-tools-cli");
+  assert.equal(mapPackageName("a-rest", mapping), "a-rest");
+});
+
+test("parses duration cut-offs back from now", () => {
+  const now = new Date("2025-03-15T12:00:00Z");
+
+  assert.equal(parseDateCutoff("10d", "created_after", now).toISOString(), "2025-03-05T12:00:00.000Z");
+  assert.equal(parseDateCutoff("2w", "created_after", now).toISOString(), "2025-03-01T12:00:00.000Z");
+  assert.equal(parseDateCutoff("3m", "created_after", now).toISOString(), "2024-12-15T12:00:00.000Z");
+  assert.equal(parseDateCutoff("1y", "created_after", now).toISOString(), "2024-03-15T12:00:00.000Z");
+  assert.equal(parseDateCutoff(" 90D ", "created_after", now).toISOString(), "2024-12-15T12:00:00.000Z");
+});
+
+test("clamps month and year cut-offs to the last day of a shorter month", () => {
+  assert.equal(
+    parseDateCutoff("1m", "updated_since", new Date("2025-03-31T00:00:00Z")).toISOString(),
+    "2025-02-28T00:00:00.000Z"
+  );
+  assert.equal(
+    parseDateCutoff("13m", "updated_since", new Date("2025-03-31T00:00:00Z")).toISOString(),
+    "2024-02-29T00:00:00.000Z"
+  );
+  assert.equal(
+    parseDateCutoff("1y", "updated_since", new Date("2024-02-29T00:00:00Z")).toISOString(),
+    "2023-02-28T00:00:00.000Z"
+  );
+});
+
+test("parses ISO 8601 cut-offs and rejects anything else", () => {
+  assert.equal(parseDateCutoff("2024-06-01", "created_after").toISOString(), "2024-06-01T00:00:00.000Z");
+  assert.equal(parseDateCutoff("", "created_after"), null);
+  assert.equal(parseDateCutoff(undefined, "created_after"), null);
+  for (const input of ["yesterday", "10x", "-5d", "2024-13-45", "06/01/2024"]) {
+    assert.throws(() => parseDateCutoff(input, "created_after"), /Invalid created_after/);
+  }
+});
+
+function readJournalItems(statePath) {
+  return JSON.parse(fs.readFileSync(statePath, "utf8")).items;
+}
+
+test("writes the journal in batches", () => {
+  const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "journal-")), "state.json");
+  const journal = loadMigrationJournal(statePath, "npm", "source", "target");
+
+  for (let i = 0; i < 100; i++) {
+    recordMigrationItem(journal, "lib", `1.0.${i}`, "completed");
+  }
+  assert.deepEqual(readJournalItems(statePath), {});
+
+  flushMigrationJournal(journal);
+  assert.equal(Object.keys(readJournalItems(statePath).lib).length, 100);
+  fs.rmSync(path.dirname(statePath), { recursive: true });
+});
+
+test("keys journal items by target package when the mapping renames it", () => {
+  const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "journal-")), "state.json");
+  const renamed = parsePackageMapping(JSON.stringify({ lib: "platform-lib" }), "npm");
+  const journal = loadMigrationJournal(statePath, "npm", "source", "target", false, renamed);
+  recordMigrationItem(journal, "lib", "1.0.0", "completed");
+  flushMigrationJournal(journal);
+
+  assert.deepEqual(Object.keys(readJournalItems(statePath)), ["lib -> platform-lib"]);
+  const sameMapping = loadMigrationJournal(statePath, "npm", "source", "target", true, renamed);
+  assert.equal(isMigrationItemCompleted(sameMapping, "lib", "1.0.0"), true);
+  const otherMapping = parsePackageMapping(JSON.stringify({ lib: "tools-lib" }), "npm");
+  assert.equal(
+    isMigrationItemCompleted(
+      loadMigrationJournal(statePath, "npm", "source", "target", true, otherMapping),
+      "lib",
+      "1.0.0"
+    ),
+    false
+  );
+  assert.equal(
+    isMigrationItemCompleted(loadMigrationJournal(statePath, "npm", "source", "target", true), "lib", "1.0.0"),
+    false
+  );
+  fs.rmSync(path.dirname(statePath), { recursive: true });
+});
+
+function httpError(status) {
+  const error = new Error(`failed with status ${status}`);
+  error.statusCode = status;
+  return error;
+}
+
+test("retries transient errors and gives up on the others at once", async () => {
+  let attempts = 0;
+  const result = await withRetry(
+    async () => {
+      attempts++;
+      if (attempts === 1) throw httpError(503);
+      if (attempts === 2) throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+      return "done";
+    },
+    { minTimeout: 1, maxTimeout: 1 }
+  );
+  assert.equal(result, "done");
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        attempts++;
+        throw httpError(404);
+      },
+      { minTimeout: 1, maxTimeout: 1 }
+    ),
+    /status 404/
+  );
+  assert.equal(attempts, 1);
+});
+
+test("reads the package mapping inline or from a file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mapping-"));
+  const mappingPath = path.join(dir, "mapping.yml");
+  fs.writeFileSync(mappingPath, "legacy: modern\n");
+
+  assert.equal(mapPackageName("legacy", parsePackageMapping(mappingPath, "npm")), "modern");
+  assert.equal(mapPackageName("legacy", parsePackageMapping("legacy: other", "npm")), "other");
+  assert.equal(mapPackageName("legacy", parsePackageMapping('{"legacy": "other"}', "npm")), "other");
+  assert.throws(() => parsePackageMapping(path.join(dir, "missing.yml"), "npm"), /package_mapping file .* not found/);
+  fs.rmSync(dir, { recursive: true });
+});
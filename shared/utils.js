@@ -2,7 +2,13 @@ import * as core from "@actions/core";
 import { Octokit } from "@octokit/rest";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import axios from "axios";
 import pRetry from "p-retry";
+import YAML from "yaml";
+import semver from "semver";
 
 /**
  * Shared utilities for package migration actions
@@ -25,8 +31,73 @@ const DEFAULT_RETRY_CONFIG = {
     "ENOTFOUND",
     "EADDRNOTAVAIL",
   ],
+  shouldRetry: isRetryableError,
 };
 
+// Default number of versions migrated at once when max_concurrency is not set
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+// Bytes between two progress lines of a download
+const DOWNLOAD_PROGRESS_INTERVAL = 50 * 1024 * 1024;
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+/**
+ * Secrets registered for masking, including the encoded forms they may take in
+ * URLs and basic auth headers
+ */
+const secrets = new Set();
+
+/**
+ * Register a secret so GitHub masks it and the shared logger redacts it
+ * @param {string} secret - Token or password to hide from logs
+ */
+export function registerSecret(secret) {
+  if (!secret) return;
+
+  const variants = [secret, encodeURIComponent(secret), Buffer.from(secret).toString("base64")];
+  for (const variant of variants) {
+    core.setSecret(variant);
+    secrets.add(variant);
+  }
+}
+
+/**
+ * Replace every registered secret in a message with ***
+ * @param {any} message - Message to scrub
+ * @returns {string} - Redacted message
+ */
+export function redactSecrets(message) {
+  let redacted = String(message);
+  for (const secret of secrets) {
+    redacted = redacted.split(secret).join("***");
+  }
+  return redacted;
+}
+
+/**
+ * Logger that scrubs registered secrets from every line before handing it to GitHub Actions
+ */
+export const logger = {
+  debug: (message) => core.debug(redactSecrets(message)),
+  info: (message) => core.info(redactSecrets(message)),
+  warning: (message) => core.warning(redactSecrets(message)),
+  error: (message) => core.error(redactSecrets(message)),
+  setFailed: (message) => core.setFailed(redactSecrets(message)),
+};
+
+/**
+ * Write a file only the current user can read, for credentials that must live on disk
+ * @param {string} filePath - Path of the file
+ * @param {string} content - File content
+ * @returns {string} - The tracked file path
+ */
+export function writeSecretFile(filePath, content) {
+  fs.writeFileSync(filePath, content, { mode: 0o600 });
+  // The mode only applies on creation, so tighten files that already existed too
+  fs.chmodSync(filePath, 0o600);
+  return trackResource(filePath);
+}
+
 /**
  * Get common inputs from GitHub Actions core
  */
@@ -40,6 +111,10 @@ export function getCommonInputs(core) {
   const ghSourcePat = core.getInput("gh_source_pat", { required: true });
   const ghTargetPat = core.getInput("gh_target_pat", { required: true });
 
+  // Mask the tokens before anything can log them
+  registerSecret(ghSourcePat);
+  registerSecret(ghTargetPat);
+
   return {
     sourceOrg,
     sourceApiUrl,
@@ -52,6 +127,25 @@ export function getCommonInputs(core) {
   };
 }
 
+/**
+ * Check whether the action runs in dry-run (plan) mode
+ */
+export function isDryRun(core) {
+  return core.getInput("dry_run", { required: false }).toLowerCase() === "true";
+}
+
+/**
+ * Check whether an error may go away on another attempt. HTTP errors are retried on 408, 429
+ * and 5xx only; anything else, e.g. a dropped connection or a short download, is retried too.
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  const status = error.response?.status ?? error.statusCode;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
 /**
  * Retry an operation with exponential backoff using p-retry
  * @param {Function} operation - Async function to retry
@@ -72,10 +166,10 @@ export async function withRetry(operation, options = {}) {
         if (config.onRetry) {
           config.onRetry(error, attempt);
         }
-        core.info(`Attempt ${attempt} failed. ${error.retriesLeft} retries left.`);
+        logger.info(`Attempt ${attempt} failed. ${error.retriesLeft} retries left.`);
 
         // Log detailed error information
-        core.debug(
+        logger.debug(
           `Error details: ${JSON.stringify(
             {
               name: error.name,
@@ -92,6 +186,108 @@ export async function withRetry(operation, options = {}) {
   );
 }
 
+/**
+ * Parse the max_concurrency input
+ * @param {Object} core - GitHub Actions core
+ * @returns {number} - Maximum number of concurrent migrations
+ */
+export function getMaxConcurrency(core) {
+  const input = core.getInput("max_concurrency", { required: false });
+  if (!input) {
+    return DEFAULT_MAX_CONCURRENCY;
+  }
+
+  const maxConcurrency = Number(input);
+  if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) {
+    throw new Error(`max_concurrency must be a positive integer, got "${input}"`);
+  }
+  return maxConcurrency;
+}
+
+/**
+ * Parse a size such as 500MB or 2GB (binary units, plain numbers are bytes)
+ * @param {string} input - Size to parse
+ * @returns {number|null} - Size in bytes, or null when the input is empty
+ */
+export function parseSize(input) {
+  if (!input || !input.trim()) {
+    return null;
+  }
+
+  const match = input.trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?B)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${input}", expected a number of bytes or a size such as 500MB`);
+  }
+  return Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || "B").toUpperCase()]);
+}
+
+/**
+ * Parse the max_download_size input
+ * @param {Object} core - GitHub Actions core
+ * @returns {number|null} - Largest artifact to download in bytes, or null for no limit
+ */
+export function getMaxDownloadSize(core) {
+  return parseSize(core.getInput("max_download_size", { required: false }));
+}
+
+/**
+ * Create a worker pool that runs at most `size` tasks at once.
+ * Excess tasks wait in submission order. The pool is shared by every package of a
+ * migration so the registry never sees more than `size` version migrations at a time.
+ * @param {number} size - Maximum number of concurrently running tasks
+ * @returns {Object} - Pool with a run(task) method resolving to the task's result
+ */
+export function createWorkerPool(size) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= size || !queue.length) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    size,
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+  };
+}
+
+/**
+ * Map items with an async function, running at most `concurrency` calls at once
+ * @param {Array} items - Items to map
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} mapper - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+export async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
 /**
  * Parse packages input from JSON string
  */
@@ -179,9 +375,65 @@ export function getNuGetRegistryUrl(apiUrl, customRegistryUrl) {
   return `https://nuget.${hostname}`;
 }
 
+/**
+ * Derive Maven registry URL from API URL or use custom registry URL
+ */
+export function getMavenRegistryUrl(apiUrl, customRegistryUrl) {
+  if (customRegistryUrl) {
+    return customRegistryUrl;
+  }
+
+  // Extract the domain from API URL
+  const url = new URL(apiUrl);
+  const hostname = url.hostname;
+
+  // Handle github.com case
+  if (hostname === "api.github.com") {
+    return "https://maven.pkg.github.com";
+  }
+
+  // Handle GitHub Data Residency case with subdomain pattern: api.SUBDOMAIN.ghe.com
+  if (hostname.startsWith("api.")) {
+    // Remove the "api." prefix to get the base domain
+    const baseDomain = hostname.substring(4);
+    return `https://maven.${baseDomain}`;
+  }
+
+  // Fallback for other patterns
+  return `https://maven.${hostname}`;
+}
+
+/**
+ * Derive RubyGems registry URL from API URL or use custom registry URL
+ */
+export function getRubyGemsRegistryUrl(apiUrl, customRegistryUrl) {
+  if (customRegistryUrl) {
+    return customRegistryUrl;
+  }
+
+  // Extract the domain from API URL
+  const url = new URL(apiUrl);
+  const hostname = url.hostname;
+
+  // Handle github.com case
+  if (hostname === "api.github.com") {
+    return "https://rubygems.pkg.github.com";
+  }
+
+  // Handle GitHub Data Residency case with subdomain pattern: api.SUBDOMAIN.ghe.com
+  if (hostname.startsWith("api.")) {
+    // Remove the "api." prefix to get the base domain
+    const baseDomain = hostname.substring(4);
+    return `https://rubygems.${baseDomain}`;
+  }
+
+  // Fallback for other patterns
+  return `https://rubygems.${hostname}`;
+}
+
 /**
  * Get registry URL for any package type based on API URL or use custom registry URL
- * @param {string} packageType - Type of package (npm, nuget, container)
+ * @param {string} packageType - Type of package (npm, nuget, maven, rubygems, container)
  * @param {string} apiUrl - GitHub API URL
  * @param {string|null} customRegistryUrl - Custom registry URL if provided
  * @returns {string} - Registry URL
@@ -194,6 +446,10 @@ export function getRegistryUrl(packageType, apiUrl, customRegistryUrl) {
       return getNpmRegistryUrl(apiUrl);
     case "nuget":
       return getNuGetRegistryUrl(apiUrl);
+    case "maven":
+      return getMavenRegistryUrl(apiUrl);
+    case "rubygems":
+      return getRubyGemsRegistryUrl(apiUrl);
     case "container":
       const hostname = new URL(apiUrl).hostname;
       if (hostname === "api.github.com") {
@@ -242,10 +498,44 @@ export async function fetchPackageVersions(octokitClient, org, packageName, pack
       per_page: 100,
     });
 
-    core.info(`Found ${versions.length} versions for package ${packageName}`);
+    logger.info(`Found ${versions.length} versions for package ${packageName}`);
+    return versions;
+  } catch (err) {
+    logger.warning(`Error fetching versions for ${packageType} package ${packageName}: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Fetch the versions of a package that already exist in the target organization
+ * @param {Object} context - Migration context (uses octokitTarget and targetOrg)
+ * @param {string} packageName - Package name in the target organization
+ * @param {string} packageType - Type of package (npm, nuget, container)
+ * @returns {Array} - List of target versions, empty when the package does not exist yet
+ */
+export async function fetchTargetVersions(context, packageName, packageType) {
+  const { octokitTarget, targetOrg } = context;
+  // The package lives under its mapped name in the target
+  packageName = mapPackageName(packageName, context.packageMapping);
+
+  try {
+    const versions = await octokitTarget.paginate(
+      `GET /orgs/{org}/packages/${packageType.toLowerCase()}/{package_name}/versions`,
+      {
+        org: targetOrg,
+        package_name: packageName,
+        per_page: 100,
+      }
+    );
+
+    logger.info(`Found ${versions.length} versions of package ${packageName} already in ${targetOrg}`);
     return versions;
   } catch (err) {
-    core.warning(`Error fetching versions for ${packageType} package ${packageName}: ${err.message}`);
+    // The package does not exist in the target yet, which is the common case
+    if (err.status === 404) {
+      return [];
+    }
+    logger.warning(`Could not check existing versions of ${packageType} package ${packageName}: ${err.message}`);
     return [];
   }
 }
@@ -255,7 +545,7 @@ export async function fetchPackageVersions(octokitClient, org, packageName, pack
  * @param {string} packageName - Name of the package
  * @param {number} succeeded - Count of successfully migrated versions
  * @param {number} failed - Count of failed migrations
- * @param {Object} options - Additional result options
+ * @param {Object} options - Additional result options (skipped, reason, resumed, alreadyPresent, plan, container counts)
  * @returns {Object} - Standardized result object
  */
 export function createPackageResult(packageName, succeeded = 0, failed = 0, options = {}) {
@@ -271,6 +561,31 @@ export function createPackageResult(packageName, succeeded = 0, failed = 0, opti
     result.reason = options.reason || "No versions found";
   }
 
+  // Add count of versions completed by a previous run if provided
+  if (options.resumed) {
+    result.resumed = options.resumed;
+  }
+
+  // Add count of versions found in the target before migrating if provided
+  if (options.alreadyPresent) {
+    result.alreadyPresent = options.alreadyPresent;
+  }
+
+  // Add the versions left out of the migration, each with the reason why
+  if (options.skippedVersions?.length) {
+    result.skippedVersions = options.skippedVersions;
+  }
+
+  // Add the target name of a package renamed by the package mapping
+  if (options.targetPackage && options.targetPackage !== packageName) {
+    result.targetPackage = options.targetPackage;
+  }
+
+  // Add the dry-run plan if provided
+  if (options.plan) {
+    result.plan = options.plan;
+  }
+
   // Add container-specific properties if provided
   if (options.digestsSucceeded !== undefined) {
     result.digestsSucceeded = options.digestsSucceeded;
@@ -282,6 +597,51 @@ export function createPackageResult(packageName, succeeded = 0, failed = 0, opti
     result.tagsFailed = options.tagsFailed || 0;
   }
 
+  if (options.artifactsSucceeded !== undefined) {
+    result.artifactsSucceeded = options.artifactsSucceeded;
+    result.artifactsFailed = options.artifactsFailed || 0;
+  }
+
+  if (options.bytesSaved !== undefined) {
+    result.bytesSaved = options.bytesSaved;
+  }
+
+  // Add NuGet symbol packages (.snupkg) migrated alongside their versions if provided
+  if (options.symbolsSucceeded !== undefined) {
+    result.symbolsSucceeded = options.symbolsSucceeded;
+    result.symbolsFailed = options.symbolsFailed || 0;
+  }
+
+  // Add NuGet versions unlisted in the target to match the source, and those that could not be
+  if (options.unlisted) {
+    result.unlisted = options.unlisted;
+  }
+
+  if (options.unlistFailures?.length) {
+    result.unlistFailures = options.unlistFailures;
+  }
+
+  // Add npm dist-tags replayed and deprecations re-applied after publishing if provided
+  if (options.distTagsSucceeded !== undefined) {
+    result.distTagsSucceeded = options.distTagsSucceeded;
+    result.distTagsFailed = options.distTagsFailed || 0;
+  }
+
+  if (options.deprecationsSucceeded !== undefined) {
+    result.deprecationsSucceeded = options.deprecationsSucceeded;
+    result.deprecationsFailed = options.deprecationsFailed || 0;
+  }
+
+  // Integrity of the source and published tarball of every npm version published, for auditing
+  if (options.integrity?.length) {
+    result.integrity = options.integrity;
+  }
+
+  // Indexes the platforms filter rewrote, whose digests were not preserved
+  if (options.rewrittenIndexes?.length) {
+    result.rewrittenIndexes = options.rewrittenIndexes;
+  }
+
   return result;
 }
 
@@ -348,23 +708,376 @@ export function cleanupTempDir(dirPath) {
   cleanupResource(dirPath);
 }
 
+/**
+ * Stream a download to disk instead of holding it in memory, logging progress on the way.
+ * The download fails when it exceeds maxBytes or ends short of its Content-Length.
+ * @param {string} url - URL to download
+ * @param {string} filePath - File to write, tracked for cleanup
+ * @param {Object} options - headers, maxBytes (null for no limit), label used in logs, and
+ * algorithms to hash the content with while it streams
+ * @returns {Promise<{size: number, digests: Object}>} - Size and digest Buffers by algorithm
+ */
+export async function downloadToFile(url, filePath, options = {}) {
+  const { headers = {}, maxBytes = null, label = path.basename(filePath), algorithms = [] } = options;
+  const response = await axios.get(url, { headers, responseType: "stream" });
+
+  // A compressed transfer is decoded on the way, so its Content-Length is not the size we receive
+  const expectedSize = response.headers["content-encoding"] ? null : Number(response.headers["content-length"]) || null;
+  if (maxBytes && expectedSize > maxBytes) {
+    response.data.destroy();
+    throw new Error(`${label} is ${formatBytes(expectedSize)}, over the ${formatBytes(maxBytes)} download limit`);
+  }
+
+  const hashes = algorithms.map((algorithm) => [algorithm, crypto.createHash(algorithm)]);
+  let size = 0;
+  let nextProgress = DOWNLOAD_PROGRESS_INTERVAL;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        callback(new Error(`${label} exceeds the ${formatBytes(maxBytes)} download limit`));
+        return;
+      }
+
+      hashes.forEach(([, hash]) => hash.update(chunk));
+      if (size >= nextProgress) {
+        const total = expectedSize ? ` of ${formatBytes(expectedSize)}` : "";
+        logger.info(`Downloading ${label}: ${formatBytes(size)}${total}`);
+        nextProgress += DOWNLOAD_PROGRESS_INTERVAL;
+      }
+      callback(null, chunk);
+    },
+  });
+
+  const checkSize = () => {
+    if (expectedSize !== null && size !== expectedSize) {
+      throw new Error(`Download of ${label} ended after ${size} of ${expectedSize} bytes`);
+    }
+  };
+
+  try {
+    await pipeline(response.data, meter, fs.createWriteStream(trackResource(filePath)));
+  } catch (error) {
+    // A connection dropped mid-download surfaces as a bare "aborted", report it as a short download
+    if (size < expectedSize) checkSize();
+    throw error;
+  }
+  checkSize();
+  logger.debug(`Downloaded ${label} (${formatBytes(size)})`);
+  return { size, digests: Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest()])) };
+}
+
+/**
+ * Hash a file without reading it into memory
+ * @returns {Promise<Buffer>} - Digest of the file
+ */
+export async function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest();
+}
+
+/**
+ * Migration state journal used to resume interrupted runs.
+ * Items are recorded per package and per version (or container reference) as
+ * "pending", "completed" or "failed"; completed items are skipped on the next run.
+ * A package renamed by the package mapping is recorded under its source and target names,
+ * so a changed mapping does not resume versions the new target never got.
+ */
+const JOURNAL_FORMAT_VERSION = 1;
+// Changes are written at most this often, and once more when the run ends
+const JOURNAL_FLUSH_INTERVAL = 2000;
+const openJournals = new Set();
+
+// SIGINT and SIGTERM exit through process.exit, which emits "exit" as well
+process.on("exit", () => openJournals.forEach((journal) => flushMigrationJournal(journal)));
+
+/**
+ * Load the migration state journal, starting a fresh one if none exists yet
+ * @param {string} statePath - Path of the JSON journal file, empty to disable journaling
+ * @param {string} packageType - Type of package (npm, nuget, container)
+ * @param {string} sourceOrg - Source organization of the migration
+ * @param {string} targetOrg - Target organization of the migration
+ * @param {boolean} readOnly - Consult the journal without writing to it (dry runs)
+ * @param {Array|null} packageMapping - Rules from parsePackageMapping, to key items by target package
+ * @returns {Object|null} - Journal, or null when journaling is disabled
+ */
+export function loadMigrationJournal(
+  statePath,
+  packageType,
+  sourceOrg,
+  targetOrg,
+  readOnly = false,
+  packageMapping = null
+) {
+  if (!statePath) {
+    return null;
+  }
+
+  const journal = {
+    path: statePath,
+    readOnly,
+    packageMapping,
+    dirty: false,
+    flushTimer: null,
+    data: { version: JOURNAL_FORMAT_VERSION, packageType, sourceOrg, targetOrg, items: {} },
+  };
+
+  if (fs.existsSync(statePath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(statePath, "utf8"));
+      const sameMigration =
+        data.version === JOURNAL_FORMAT_VERSION &&
+        data.packageType === packageType &&
+        data.sourceOrg === sourceOrg &&
+        data.targetOrg === targetOrg;
+
+      if (sameMigration) {
+        journal.data.items = data.items || {};
+      } else {
+        logger.warning(`State journal ${statePath} belongs to a different migration, starting a new one`);
+      }
+    } catch (error) {
+      logger.warning(`Failed to read state journal ${statePath}, starting a new one: ${error.message}`);
+    }
+  }
+
+  const completed = Object.values(journal.data.items)
+    .flatMap((items) => Object.values(items))
+    .filter((item) => item.status === "completed").length;
+  logger.info(`Using state journal ${statePath} (${completed} items already completed)`);
+
+  writeMigrationJournal(journal);
+  openJournals.add(journal);
+  return journal;
+}
+
+/**
+ * Persist the journal, replacing the previous file atomically
+ */
+function writeMigrationJournal(journal) {
+  if (journal.readOnly) return;
+
+  fs.mkdirSync(path.dirname(path.resolve(journal.path)), { recursive: true });
+  const tmpPath = `${journal.path}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(journal.data, null, 2));
+  fs.renameSync(tmpPath, journal.path);
+}
+
+/**
+ * Write the changes recorded since the last write, if any
+ * @param {Object|null} journal - Journal from loadMigrationJournal
+ */
+export function flushMigrationJournal(journal) {
+  if (!journal) return;
+
+  clearTimeout(journal.flushTimer);
+  journal.flushTimer = null;
+  if (journal.dirty) {
+    journal.dirty = false;
+    writeMigrationJournal(journal);
+  }
+}
+
+/**
+ * Key of a package in the journal: its name, or "source -> target" when the mapping renames it
+ */
+function getJournalPackageKey(journal, packageName) {
+  const targetName = mapPackageName(packageName, journal.packageMapping);
+  return targetName === packageName ? packageName : `${packageName} -> ${targetName}`;
+}
+
+/**
+ * Check whether an item was completed by a previous run
+ * @param {Object|null} journal - Journal from loadMigrationJournal
+ * @param {string} packageName - Name of the package in the source
+ * @param {string} itemKey - Version name or container reference
+ * @returns {boolean}
+ */
+export function isMigrationItemCompleted(journal, packageName, itemKey) {
+  return journal?.data.items[getJournalPackageKey(journal, packageName)]?.[itemKey]?.status === "completed";
+}
+
+/**
+ * Record the status of an item. The journal is written in batches, see flushMigrationJournal.
+ * @param {Object|null} journal - Journal from loadMigrationJournal
+ * @param {string} packageName - Name of the package in the source
+ * @param {string} itemKey - Version name or container reference
+ * @param {string} status - One of "pending", "completed" or "failed"
+ */
+export function recordMigrationItem(journal, packageName, itemKey, status) {
+  if (!journal) return;
+
+  const packageKey = getJournalPackageKey(journal, packageName);
+  const items = (journal.data.items[packageKey] = journal.data.items[packageKey] || {});
+  items[itemKey] = { status, updatedAt: new Date().toISOString() };
+
+  journal.dirty = true;
+  if (!journal.flushTimer && !journal.readOnly) {
+    journal.flushTimer = setTimeout(() => flushMigrationJournal(journal), JOURNAL_FLUSH_INTERVAL);
+    // A pending write must not keep the process alive, the exit handler flushes it
+    journal.flushTimer.unref();
+  }
+}
+
+/**
+ * Actions a dry run can plan for a single version
+ */
+export const PLAN_ACTIONS = {
+  MIGRATE: "migrate",
+  ALREADY_PRESENT: "skip (already present)",
+  RESUMED: "skip (completed by a previous run)",
+  FILTERED: "skip (filtered out)",
+};
+
+/**
+ * Create a plan entry describing what a migration would do with one version
+ * @param {string} version - Version name or container reference
+ * @param {string} source - Source coordinates (URL, scoped name or image reference)
+ * @param {string} target - Target coordinates
+ * @param {string} action - One of PLAN_ACTIONS
+ * @param {string} reason - Why the version is skipped, for FILTERED entries
+ * @returns {Object} - Plan entry
+ */
+export function createPlanEntry(version, source, target, action = PLAN_ACTIONS.MIGRATE, reason = null) {
+  return { version, source, target, action, ...(reason && { reason }) };
+}
+
+/**
+ * Output a dry-run plan to GitHub Actions instead of migration results
+ * @param {Array} results - Package results carrying plan entries
+ * @param {string} packageType - Type of package (npm, nuget, container)
+ * @param {Object|null} discoveryFilters - Filters the packages were discovered with, see getDiscoveryFilters
+ */
+export function outputPlan(results, packageType, discoveryFilters = null) {
+  const plan = results.map((r) => ({
+    package: r.package,
+    ...(r.targetPackage && { targetPackage: r.targetPackage }),
+    ...(r.skipped && { skipped: true, reason: r.reason }),
+    versions: r.plan || [],
+  }));
+  const entries = plan.flatMap((p) => p.versions);
+  const toMigrate = entries.filter((entry) => entry.action === PLAN_ACTIONS.MIGRATE).length;
+
+  logger.info(`\n=== ${packageType.toUpperCase()} Migration Plan (dry run) ===`);
+  logger.info(`Total packages: ${plan.length}`);
+  logger.info(`Versions to migrate: ${toMigrate}`);
+  logger.info(`Versions to skip: ${entries.length - toMigrate}`);
+
+  const rows = plan.flatMap((p) => {
+    const packageLabel = p.targetPackage ? `${p.package} → ${p.targetPackage}` : p.package;
+    return p.skipped
+      ? [[packageLabel, "", "", "", `skip package (${p.reason})`]]
+      : p.versions.map((entry) => [
+          packageLabel,
+          entry.version,
+          entry.source,
+          entry.target,
+          entry.reason ? `${entry.action}: ${entry.reason}` : entry.action,
+        ]);
+  });
+
+  core.summary
+    .addHeading(`${packageType.toUpperCase()} Migration Plan (dry run)`, 2)
+    .addRaw(`Dry run: nothing was downloaded, published or copied. ${toMigrate} versions would be migrated.`)
+    .addBreak()
+    .addBreak();
+  addDiscoveryFilters(discoveryFilters);
+  core.summary
+    .addTable([
+      [
+        { data: "Package", header: true },
+        { data: "Version", header: true },
+        { data: "Source", header: true },
+        { data: "Target", header: true },
+        { data: "Action", header: true },
+      ],
+      ...rows,
+    ])
+    .write();
+
+  const textSummary =
+    "Migration plan (dry run):\n" + rows.map((row) => `${row[0]}${row[1] ? ` ${row[1]}` : ""}: ${row[4]}`).join("\n");
+  logger.info(textSummary);
+
+  core.setOutput("plan", JSON.stringify(plan));
+  core.setOutput("result", JSON.stringify(results.map(({ plan: _plan, ...result }) => result)));
+  core.setOutput("result_summary", textSummary);
+}
+
+/**
+ * Format a byte count for summaries (e.g. 1.5 MB)
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+/**
+ * Add the filters packages were discovered with to the job summary
+ */
+function addDiscoveryFilters(discoveryFilters) {
+  const filters = formatDiscoveryFilters(discoveryFilters);
+  if (filters) {
+    core.summary.addRaw(`Packages discovered with filters: ${filters}`).addBreak().addBreak();
+  }
+}
+
+// Skipped versions listed by name in a summary before they are only counted
+const MAX_LISTED_SKIPPED_VERSIONS = 5;
+
+/**
+ * Format skipped versions for summaries, grouped by reason
+ * e.g. "older than the newest 5 versions: 1200 versions; No .nuspec found in Lib 1.0.0: 1.0.0"
+ */
+function formatSkippedVersions(skippedVersions) {
+  const byReason = new Map();
+  skippedVersions.forEach(({ version, reason }) => byReason.set(reason, [...(byReason.get(reason) || []), version]));
+
+  return [...byReason]
+    .map(([reason, versions]) =>
+      versions.length > MAX_LISTED_SKIPPED_VERSIONS
+        ? `${reason}: ${versions.length} versions`
+        : `${reason}: ${versions.join(", ")}`
+    )
+    .join("; ");
+}
+
 /**
  * Output results to GitHub Actions
  */
-export function outputResults(results, packageType) {
+export function outputResults(results, packageType, discoveryFilters = null) {
   // Calculate totals once
   const totals = {
     packages: results.length,
     success: results.reduce((acc, r) => acc + (r.succeeded || 0), 0),
     failed: results.reduce((acc, r) => acc + (r.failed || 0), 0),
     skipped: results.filter((r) => r.skipped).length,
+    resumed: results.reduce((acc, r) => acc + (r.resumed || 0), 0),
+    alreadyPresent: results.reduce((acc, r) => acc + (r.alreadyPresent || 0), 0),
+    skippedVersions: results.reduce((acc, r) => acc + (r.skippedVersions?.length || 0), 0),
   };
 
   // Log summary to console
-  core.info(`\n=== ${packageType.toUpperCase()} Migration Summary ===`);
-  core.info(`Total packages processed: ${totals.packages}`);
-  core.info(`Successful version migrations: ${totals.success}`);
-  core.info(`Failed version migrations: ${totals.failed}`);
+  logger.info(`\n=== ${packageType.toUpperCase()} Migration Summary ===`);
+  logger.info(`Total packages processed: ${totals.packages}`);
+  logger.info(`Successful version migrations: ${totals.success}`);
+  logger.info(`Failed version migrations: ${totals.failed}`);
+  if (totals.resumed > 0) {
+    logger.info(`Versions already completed in a previous run: ${totals.resumed}`);
+  }
+  if (totals.alreadyPresent > 0) {
+    logger.info(`Versions already present in the target: ${totals.alreadyPresent}`);
+  }
+  if (totals.skippedVersions > 0) {
+    logger.info(`Versions skipped: ${totals.skippedVersions}`);
+  }
 
   // For container packages, also calculate digest and tag totals
   if (packageType.toLowerCase() === "container") {
@@ -372,19 +1085,58 @@ export function outputResults(results, packageType) {
     totals.digestsFailed = results.reduce((acc, r) => acc + (r.digestsFailed || 0), 0);
     totals.tagsSucceeded = results.reduce((acc, r) => acc + (r.tagsSucceeded || 0), 0);
     totals.tagsFailed = results.reduce((acc, r) => acc + (r.tagsFailed || 0), 0);
-    core.info(`Successful digest migrations: ${totals.digestsSucceeded}`);
-    core.info(`Failed digest migrations: ${totals.digestsFailed}`);
-    core.info(`Successful tag migrations: ${totals.tagsSucceeded}`);
-    core.info(`Failed tag migrations: ${totals.tagsFailed}`);
+    totals.artifactsSucceeded = results.reduce((acc, r) => acc + (r.artifactsSucceeded || 0), 0);
+    totals.artifactsFailed = results.reduce((acc, r) => acc + (r.artifactsFailed || 0), 0);
+    totals.bytesSaved = results.reduce((acc, r) => acc + (r.bytesSaved || 0), 0);
+    totals.rewrittenIndexes = results.reduce((acc, r) => acc + (r.rewrittenIndexes?.length || 0), 0);
+    logger.info(`Successful digest migrations: ${totals.digestsSucceeded}`);
+    logger.info(`Failed digest migrations: ${totals.digestsFailed}`);
+    logger.info(`Successful tag migrations: ${totals.tagsSucceeded}`);
+    logger.info(`Failed tag migrations: ${totals.tagsFailed}`);
+    logger.info(`Successful artifact migrations (signatures, SBOMs, attestations): ${totals.artifactsSucceeded}`);
+    logger.info(`Failed artifact migrations: ${totals.artifactsFailed}`);
+    logger.info(`Upload avoided by blob reuse: ${formatBytes(totals.bytesSaved)}`);
+    if (totals.rewrittenIndexes > 0) {
+      logger.warning(
+        `${totals.rewrittenIndexes} image indexes were rewritten by the platforms filter, their digests were not preserved`
+      );
+    }
+  }
+
+  // For NuGet packages, report the symbol packages migrated alongside the versions
+  if (packageType.toLowerCase() === "nuget") {
+    totals.symbolsSucceeded = results.reduce((acc, r) => acc + (r.symbolsSucceeded || 0), 0);
+    totals.symbolsFailed = results.reduce((acc, r) => acc + (r.symbolsFailed || 0), 0);
+    logger.info(`Successful symbol package migrations: ${totals.symbolsSucceeded}`);
+    logger.info(`Failed symbol package migrations: ${totals.symbolsFailed}`);
+    totals.unlisted = results.reduce((acc, r) => acc + (r.unlisted || 0), 0);
+    totals.unlistFailed = results.reduce((acc, r) => acc + (r.unlistFailures?.length || 0), 0);
+    logger.info(`Versions unlisted: ${totals.unlisted}`);
+    if (totals.unlistFailed > 0) {
+      logger.warning(`Failed to unlist ${totals.unlistFailed} versions, see the per-package results`);
+    }
+  }
+
+  // For npm packages, report the dist-tags and deprecations applied after publishing
+  if (packageType.toLowerCase() === "npm") {
+    totals.distTagsFailed = results.reduce((acc, r) => acc + (r.distTagsFailed || 0), 0);
+    totals.deprecationsFailed = results.reduce((acc, r) => acc + (r.deprecationsFailed || 0), 0);
+    logger.info(`Dist-tags replayed: ${results.reduce((acc, r) => acc + (r.distTagsSucceeded || 0), 0)}`);
+    logger.info(`Deprecations re-applied: ${results.reduce((acc, r) => acc + (r.deprecationsSucceeded || 0), 0)}`);
+    if (totals.distTagsFailed > 0 || totals.deprecationsFailed > 0) {
+      logger.warning(
+        `Failed to replay ${totals.distTagsFailed} dist-tags and ${totals.deprecationsFailed} deprecations, see the log for details`
+      );
+    }
   }
 
   // Generate both GitHub markdown summary and plain text summary
-  const summary = generateActionSummary(results, packageType, totals);
+  const summary = generateActionSummary(results, packageType, totals, discoveryFilters);
 
   if (totals.skipped > 0) {
-    core.info(`Skipped packages: ${totals.skipped}`);
+    logger.info(`Skipped packages: ${totals.skipped}`);
   }
-  core.info(summary);
+  logger.info(summary);
 
   // Set output
   core.setOutput("result", JSON.stringify(results));
@@ -392,9 +1144,9 @@ export function outputResults(results, packageType) {
 
   // Set job status based on results
   if (totals.failed > 0 && totals.success === 0) {
-    core.setFailed(`All ${packageType} package migrations failed`);
+    logger.setFailed(`All ${packageType} package migrations failed`);
   } else if (totals.failed > 0) {
-    core.warning(`Some ${packageType} package migrations failed`);
+    logger.warning(`Some ${packageType} package migrations failed`);
   }
 }
 
@@ -403,15 +1155,17 @@ export function outputResults(results, packageType) {
  * @param {Array} results - Migration results
  * @param {string} packageType - Type of package (npm, nuget, container)
  * @param {Object} totals - Pre-calculated totals
+ * @param {Object|null} discoveryFilters - Filters the packages were discovered with
  * @returns {string} - Text summary for console output and action outputs
  */
-function generateActionSummary(results, packageType, totals) {
+function generateActionSummary(results, packageType, totals, discoveryFilters) {
   // Start building the GitHub summary
   core.summary
     .addHeading(`${packageType.toUpperCase()} Package Migration`, 2)
     .addRaw("Migration completed.")
     .addBreak()
     .addBreak();
+  addDiscoveryFilters(discoveryFilters);
 
   // Add statistics table
   core.summary
@@ -424,6 +1178,9 @@ function generateActionSummary(results, packageType, totals) {
       ["Versions Succeeded", totals.success.toString()],
       ["Versions Failed", totals.failed.toString()],
       ["Packages Skipped", totals.skipped.toString()],
+      ["Versions Already Present", totals.alreadyPresent.toString()],
+      ["Versions Resumed", totals.resumed.toString()],
+      ["Versions Skipped", totals.skippedVersions.toString()],
     ])
     .addBreak();
 
@@ -433,15 +1190,49 @@ function generateActionSummary(results, packageType, totals) {
   // Create an array of formatted results for both markdown and plaintext output
   // using strong tags instead of ** because the latter gets printed as a literal
   const resultItems = results.map((r) => {
+    const packageLabel = r.targetPackage ? `${r.package} → ${r.targetPackage}` : r.package;
+    const extraCounts =
+      (r.alreadyPresent ? `, ${r.alreadyPresent} already present` : "") +
+      (r.resumed ? `, ${r.resumed} already completed` : "") +
+      (r.skippedVersions?.length
+        ? `, ${r.skippedVersions.length} skipped (${formatSkippedVersions(r.skippedVersions)})`
+        : "");
     if (r.skipped) {
-      return `<strong>${r.package}</strong>: SKIPPED (${r.reason || "No reason provided"})`;
+      return `<strong>${packageLabel}</strong>: SKIPPED (${r.reason || "No reason provided"})`;
     } else if (packageType.toLowerCase() === "container" && r.digestsSucceeded !== undefined) {
       // For container packages, show breakdown of digests and tags
       const digestsTotal = (r.digestsSucceeded || 0) + (r.digestsFailed || 0);
       const tagsTotal = (r.tagsSucceeded || 0) + (r.tagsFailed || 0);
-      return `<strong>${r.package}</strong>: ${r.succeeded} versions succeeded, ${r.failed} versions failed (${r.digestsSucceeded} of ${digestsTotal} digests, ${r.tagsSucceeded} of ${tagsTotal} tags)`;
+      const artifactsTotal = (r.artifactsSucceeded || 0) + (r.artifactsFailed || 0);
+      const artifacts = artifactsTotal ? `, ${r.artifactsSucceeded} of ${artifactsTotal} artifacts` : "";
+      const rewritten = r.rewrittenIndexes?.length
+        ? ` - digests not preserved for ${r.rewrittenIndexes.length} indexes rewritten by the platforms filter: ${r.rewrittenIndexes
+            .map(({ sourceDigest, targetDigest }) => `${sourceDigest} → ${targetDigest}`)
+            .join(", ")}`
+        : "";
+      const savedBytes = r.bytesSaved ? `, ${formatBytes(r.bytesSaved)} reused` : "";
+      return `<strong>${packageLabel}</strong>: ${r.succeeded} versions succeeded, ${r.failed} versions failed${extraCounts} (${r.digestsSucceeded} of ${digestsTotal} digests, ${r.tagsSucceeded} of ${tagsTotal} tags${artifacts}${savedBytes})${rewritten}`;
+    } else if (r.distTagsSucceeded !== undefined) {
+      // For npm packages, show the dist-tags and deprecations applied after publishing
+      const distTagsTotal = r.distTagsSucceeded + r.distTagsFailed;
+      const deprecationsTotal = r.deprecationsSucceeded + r.deprecationsFailed;
+      const deprecations = deprecationsTotal ? `, ${r.deprecationsSucceeded} of ${deprecationsTotal} deprecations` : "";
+      return `<strong>${packageLabel}</strong>: ${r.succeeded} versions succeeded, ${r.failed} versions failed${extraCounts} (${r.distTagsSucceeded} of ${distTagsTotal} dist-tags${deprecations})`;
+    } else if (r.symbolsSucceeded || r.symbolsFailed || r.unlisted || r.unlistFailures) {
+      // For NuGet packages, show the symbol packages migrated alongside the versions and the
+      // versions unlisted afterwards
+      const symbolsTotal = (r.symbolsSucceeded || 0) + (r.symbolsFailed || 0);
+      const unlistTotal = (r.unlisted || 0) + (r.unlistFailures?.length || 0);
+      const details = [
+        symbolsTotal ? `${r.symbolsSucceeded} of ${symbolsTotal} symbol packages` : "",
+        unlistTotal ? `${r.unlisted || 0} of ${unlistTotal} versions unlisted` : "",
+      ].filter(Boolean);
+      const unlistFailures = r.unlistFailures
+        ? ` - could not unlist ${r.unlistFailures.map(({ version, reason }) => `${version}: ${reason}`).join("; ")}`
+        : "";
+      return `<strong>${packageLabel}</strong>: ${r.succeeded} versions succeeded, ${r.failed} versions failed${extraCounts} (${details.join(", ")})${unlistFailures}`;
     } else {
-      return `<strong>${r.package}</strong>: ${r.succeeded} versions succeeded, ${r.failed} versions failed`;
+      return `<strong>${packageLabel}</strong>: ${r.succeeded} versions succeeded, ${r.failed} versions failed${extraCounts}`;
     }
   });
 
@@ -477,18 +1268,357 @@ export function createTempDir(basePath = process.cwd()) {
 
 /**
  * Format package name based on org and type
+ * @param {string} packageName - Package name
+ * @param {string} org - Organization the package belongs to
+ * @param {string} packageType - Type of package
+ * @param {Array} [mapping] - Package mapping to apply first, for names in the target
  */
-export function formatPackageName(packageName, org, packageType) {
+export function formatPackageName(packageName, org, packageType, mapping) {
+  const name = mapping ? mapPackageName(packageName, mapping) : packageName;
+
   switch (packageType.toLowerCase()) {
     case "npm":
-      return `@${org}/${packageName}`;
+      return `@${org}/${name}`;
     case "nuget":
-      return packageName;
+      return name;
     case "container":
-      return `${org}/${packageName}`;
+      return `${org}/${name}`;
     default:
-      return packageName;
+      return name;
+  }
+}
+
+// Package types that can hold their own section in the package mapping
+const MAPPING_SECTIONS = ["npm", "nuget", "container", "maven", "rubygems"];
+
+/**
+ * Turn a glob pattern into an anchored regex, capturing what each * matched. A ? matches one
+ * character without capturing, so the captures line up with the * placeholders of a target name.
+ */
+function globToRegex(pattern, flags = "") {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return "(.*)";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Parse the package_mapping input: YAML or JSON, inline or in a file, mapping source package
+ * names or glob patterns to target names. Entries may be grouped under a package type
+ * (npm, nuget, container, maven, rubygems) to apply to that type only. A * in a target name
+ * is replaced by what the matching * in the source pattern matched.
+ *
+ *   legacy-api: api
+ *   "tools-*": "platform-tools-*"
+ *   container:
+ *     "base/*": "images/base-*"
+ *
+ * @param {string} mappingInput - Mapping content or path of a mapping file
+ * @param {string} packageType - Type of package being migrated
+ * @returns {Array|null} - Mapping rules, exact names first, or null when no mapping is set
+ */
+export function parsePackageMapping(mappingInput, packageType) {
+  if (!mappingInput?.trim()) return null;
+
+  // Inline YAML or JSON spans lines or holds a ":" or "{"; anything else is the path of a mapping file
+  const value = mappingInput.trim();
+  let content = mappingInput;
+  if (!/[\n:{]/.test(value)) {
+    if (!fs.existsSync(value)) {
+      throw new Error(`package_mapping file ${value} not found`);
+    }
+    content = fs.readFileSync(value, "utf8");
   }
+  let mapping;
+  try {
+    mapping = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse package_mapping: ${error.message}`);
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error("package_mapping must map source package names to target names");
+  }
+
+  const entries = Object.entries(mapping).flatMap(([key, value]) => {
+    if (MAPPING_SECTIONS.includes(key) && value && typeof value === "object") {
+      return key === packageType?.toLowerCase() ? Object.entries(value) : [];
+    }
+    return [[key, value]];
+  });
+
+  const rules = entries.map(([pattern, target]) => {
+    if (typeof target !== "string" || !target.trim()) {
+      throw new Error(`package_mapping entry "${pattern}" must map to a package name`);
+    }
+    const isGlob = /[*?]/.test(pattern);
+    return { pattern, target: target.trim(), regex: isGlob ? globToRegex(pattern) : null };
+  });
+
+  // Exact names win over patterns, patterns apply in the order they are written
+  return [...rules.filter((rule) => !rule.regex), ...rules.filter((rule) => rule.regex)];
+}
+
+/**
+ * Read the package_mapping input of an action
+ * @param {Object} core - GitHub Actions core
+ * @param {string} packageType - Type of package being migrated
+ */
+export function getPackageMapping(core, packageType) {
+  return parsePackageMapping(core.getInput("package_mapping", { required: false }), packageType);
+}
+
+/**
+ * Get the target name of a package according to the package mapping
+ * @param {string} packageName - Source package name
+ * @param {Array|null} mapping - Rules from parsePackageMapping
+ * @returns {string} - Mapped name, or the source name when no rule matches
+ */
+export function mapPackageName(packageName, mapping) {
+  for (const rule of mapping || []) {
+    if (!rule.regex) {
+      if (rule.pattern === packageName) return rule.target;
+      continue;
+    }
+
+    const match = packageName.match(rule.regex);
+    if (match) {
+      const captures = match.slice(1);
+      return rule.target.replace(/\*/g, () => captures.shift() ?? "");
+    }
+  }
+  return packageName;
+}
+
+/**
+ * Parse a list of name patterns, separated by commas or newlines. An entry written as
+ * /regex/flags is a regular expression, anything else a case-insensitive glob.
+ * @param {string} input - e.g. "platform-*, /^tools-(api|web)$/"
+ * @returns {Array<{pattern: string, regex: RegExp}>}
+ */
+export function parsePatternList(input) {
+  const entries = (input || "").match(/\s*\/(?:\\.|[^/\\\n])+\/[a-z]*(?=\s*(?:[,\n]|$))|[^,\n]+/g) || [];
+
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((pattern) => {
+      const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+      if (!literal) {
+        return { pattern, regex: globToRegex(pattern, "i") };
+      }
+      try {
+        return { pattern, regex: new RegExp(literal[1], literal[2]) };
+      } catch (error) {
+        throw new Error(`Invalid pattern ${pattern}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Check whether a name matches any pattern from parsePatternList
+ */
+export function matchesAnyPattern(name, patterns) {
+  return patterns.some(({ regex }) => regex.test(name));
+}
+
+// Length in days or months of the units of relative date cut-offs, e.g. 30d or 1y
+const DURATION_DAYS = { d: 1, w: 7 };
+const DURATION_MONTHS = { m: 1, y: 12 };
+
+/**
+ * Parse a date cut-off: an ISO 8601 date or a duration before now, e.g. 90d, 12w, 6m or 1y
+ * @param {string} input - Cut-off input
+ * @param {string} name - Input name for error messages
+ * @param {Date} now - Reference date for durations
+ * @returns {Date|null} - Cut-off date, or null when the input is empty
+ */
+export function parseDateCutoff(input, name, now = new Date()) {
+  const value = input?.trim();
+  if (!value) return null;
+
+  const duration = value.match(/^(\d+)\s*([dwmy])$/i);
+  if (duration) {
+    const unit = duration[2].toLowerCase();
+    const cutoff = new Date(now);
+    if (DURATION_DAYS[unit]) {
+      cutoff.setUTCDate(now.getUTCDate() - Number(duration[1]) * DURATION_DAYS[unit]);
+      return cutoff;
+    }
+
+    // Keep the day of the month, clamped to the last day of a shorter month: 1m before March 31 is February 28
+    const month = now.getUTCMonth() - Number(duration[1]) * DURATION_MONTHS[unit];
+    const lastDay = new Date(Date.UTC(now.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    cutoff.setUTCMonth(month, Math.min(now.getUTCDate(), lastDay));
+    return cutoff;
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: ${value}. Use an ISO 8601 date or a duration such as 90d, 12w, 6m or 1y`);
+  }
+  return date;
+}
+
+/**
+ * Read the discovery_filters input: the filters output of get-packages-action, recorded in the
+ * results of the migration
+ * @returns {Object|null} - Filters, or null when the input is empty
+ */
+export function getDiscoveryFilters(core) {
+  const input = core.getInput("discovery_filters", { required: false });
+  if (!input?.trim()) return null;
+
+  try {
+    const filters = JSON.parse(input);
+    if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+      throw new Error("expected a JSON object");
+    }
+    return filters;
+  } catch (error) {
+    throw new Error(`Failed to parse discovery_filters: ${error.message}`);
+  }
+}
+
+/**
+ * Format discovery filters for logs and summaries, leaving out the ones not set
+ * e.g. "include: platform-*; exclude: *-legacy; min_versions: 2"
+ */
+export function formatDiscoveryFilters(filters) {
+  return Object.entries(filters || {})
+    .filter(
+      ([, value]) => value !== null && value !== false && value !== "" && !(Array.isArray(value) && !value.length)
+    )
+    .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(", ") : value}`)
+    .join("; ");
+}
+
+/**
+ * Read the version filters of an action: version_range (npm, NuGet), tag_regex and skip_untagged
+ * (containers), created_after and keep_latest
+ * @param {Object} core - GitHub Actions core
+ * @returns {Object} - Filters for filterVersions
+ */
+export function getVersionFilters(core) {
+  const versionRange = core.getInput("version_range", { required: false }).trim() || null;
+  if (versionRange && !semver.validRange(versionRange)) {
+    throw new Error(`Invalid version_range: ${versionRange}`);
+  }
+
+  const tagRegexInput = core.getInput("tag_regex", { required: false }).trim();
+  let tagRegex = null;
+  try {
+    tagRegex = tagRegexInput ? new RegExp(tagRegexInput) : null;
+  } catch (error) {
+    throw new Error(`Invalid tag_regex: ${error.message}`);
+  }
+
+  const keepLatestInput = core.getInput("keep_latest", { required: false }).trim();
+  const keepLatest = keepLatestInput ? Number(keepLatestInput) : null;
+  if (keepLatest !== null && (!Number.isInteger(keepLatest) || keepLatest < 1)) {
+    throw new Error(`Invalid keep_latest: ${keepLatestInput}. Use a whole number of at least 1`);
+  }
+
+  return {
+    versionRange,
+    tagRegex,
+    skipUntagged: core.getInput("skip_untagged", { required: false }).toLowerCase() === "true",
+    createdAfter: parseDateCutoff(core.getInput("created_after", { required: false }), "created_after"),
+    keepLatest,
+  };
+}
+
+/**
+ * Read a version as semver. NuGet versions are accepted too: missing parts count as zero and a
+ * fourth part is ignored.
+ * @returns {string|null} - Semver version, or null when the version cannot be read as one
+ */
+function toSemver(version) {
+  if (semver.valid(version)) return version;
+  const match = version.match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.\d+)?(-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/);
+  return match
+    ? semver.valid(`${Number(match[1])}.${Number(match[2] || 0)}.${Number(match[3] || 0)}${match[4] || ""}`)
+    : null;
+}
+
+/**
+ * Check a version against the filters that apply to it alone
+ * @returns {{reason: string|null, tags?: Array<string>}} - Why the version is filtered out, and
+ * for a container version the tags left by tag_regex
+ */
+function checkVersion(version, filters) {
+  if (filters.versionRange) {
+    const semverVersion = toSemver(version.name);
+    if (!semverVersion || !semver.satisfies(semverVersion, filters.versionRange)) {
+      return { reason: `outside version range ${filters.versionRange}` };
+    }
+  }
+
+  if (filters.createdAfter && !(new Date(version.created_at) > filters.createdAfter)) {
+    return { reason: `created before ${filters.createdAfter.toISOString()}` };
+  }
+
+  const tags = version.metadata?.container?.tags;
+  if (!tags) return { reason: null };
+
+  if (filters.skipUntagged && !tags.length) {
+    return { reason: "untagged digest" };
+  }
+  if (filters.tagRegex && tags.length) {
+    const matchingTags = tags.filter((tag) => filters.tagRegex.test(tag));
+    if (!matchingTags.length) {
+      return { reason: `no tag matches ${filters.tagRegex}` };
+    }
+    return { reason: null, tags: matchingTags };
+  }
+  return { reason: null };
+}
+
+/**
+ * Apply the version filters to the versions of a package, as returned by fetchPackageVersions.
+ * keep_latest applies last, to the versions the other filters keep, newest first by creation
+ * date. Container versions keep only the tags matching tag_regex.
+ * @param {Array} versions - Package versions
+ * @param {Object} filters - Filters from getVersionFilters
+ * @returns {{versions: Array, skipped: Array<{version: string, reason: string}>}} - The versions
+ * to migrate, and those filtered out with the reason
+ */
+export function filterVersions(versions, filters) {
+  if (!filters) return { versions, skipped: [] };
+
+  const skipped = [];
+  let kept = [];
+  for (const version of versions) {
+    const { reason, tags } = checkVersion(version, filters);
+    if (reason) {
+      skipped.push({ version: version.name, reason });
+    } else if (tags && tags.length !== version.metadata.container.tags.length) {
+      kept.push({ ...version, metadata: { ...version.metadata, container: { ...version.metadata.container, tags } } });
+    } else {
+      kept.push(version);
+    }
+  }
+
+  if (filters.keepLatest && kept.length > filters.keepLatest) {
+    const newest = new Set(
+      [...kept]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, filters.keepLatest)
+        .map((version) => version.name)
+    );
+    kept
+      .filter((version) => !newest.has(version.name))
+      .forEach((version) =>
+        skipped.push({ version: version.name, reason: `older than the newest ${filters.keepLatest} versions` })
+      );
+    kept = kept.filter((version) => newest.has(version.name));
+  }
+
+  return { versions: kept, skipped };
 }
 
 /**
@@ -502,30 +1632,53 @@ export function formatPackageName(packageName, org, packageType) {
 export async function migratePackagesWithContext(packages, context, migratePackageFn, packageType) {
   try {
     if (packages.length === 0) {
-      core.info(`No ${packageType} packages to migrate`);
+      logger.info(`No ${packageType} packages to migrate`);
       core.setOutput("result", JSON.stringify([]));
       return [];
     }
 
-    // Migrate all packages with the provided strategy
-    const results = [];
-    for (const pkg of packages) {
-      const result = await migratePackageFn(pkg, context);
-      results.push(result);
+    if (context.dryRun) {
+      logger.info("Dry run enabled: planning migration without downloading, publishing or copying anything");
+    }
+
+    if (formatDiscoveryFilters(context.discoveryFilters)) {
+      logger.info(`Packages discovered with filters: ${formatDiscoveryFilters(context.discoveryFilters)}`);
     }
 
-    // Output results using the shared utility
-    outputResults(results, packageType);
+    // Load the state journal so items completed by a previous run are skipped
+    const journal = loadMigrationJournal(
+      context.statePath,
+      packageType,
+      context.sourceOrg,
+      context.targetOrg,
+      context.dryRun,
+      context.packageMapping
+    );
+    const journaledContext = { ...context, journal };
+
+    // Migrate packages with the provided strategy. Packages run side by side while their
+    // versions share the context's worker pool, which bounds the overall concurrency.
+    const results = await mapWithConcurrency(packages, context.maxConcurrency, (pkg) =>
+      migratePackageFn(pkg, journaledContext)
+    );
+    flushMigrationJournal(journal);
+
+    // Output results (or the plan of a dry run) using the shared utility
+    if (context.dryRun) {
+      outputPlan(results, packageType, context.discoveryFilters);
+    } else {
+      outputResults(results, packageType, context.discoveryFilters);
+    }
 
     return results;
   } catch (error) {
-    core.setFailed(`Migration failed: ${error.message}`);
+    logger.setFailed(`Migration failed: ${error.message}`);
     return [];
   }
 }
 
 /**
- * Setup a complete migration context with common inputs, Octokit client, and registry URLs
+ * Setup a complete migration context with common inputs, Octokit clients, and registry URLs
  * @param {Object} core - GitHub Actions core
  * @param {string} packageType - Type of package (npm, nuget, container)
  * @param {Object} additionalInputs - Additional inputs to include in the context
@@ -535,21 +1688,49 @@ export function setupContext(core, packageType, additionalInputs = {}) {
   // Get common inputs first
   const commonInputs = getCommonInputs(core);
 
-  // Create Octokit client
+  // Create Octokit clients
   const octokitSource = createOctokitClient(commonInputs.ghSourcePat, commonInputs.sourceApiUrl);
+  const octokitTarget = createOctokitClient(commonInputs.ghTargetPat, commonInputs.targetApiUrl);
 
   // Determine registry URLs for source and target
   const sourceRegistryUrl = getRegistryUrl(packageType, commonInputs.sourceApiUrl, commonInputs.sourceRegistryUrl);
 
   const targetRegistryUrl = getRegistryUrl(packageType, commonInputs.targetApiUrl, commonInputs.targetRegistryUrl);
 
+  // Path of the state journal used to resume interrupted migrations
+  const statePath = core.getInput("state_file", { required: false });
+
+  // Plan the migration without writing anything to the target
+  const dryRun = isDryRun(core);
+
+  // Rename packages on the way to the target
+  const packageMapping = getPackageMapping(core, packageType);
+
+  // Filters get-packages-action discovered the packages with, recorded in the results
+  const discoveryFilters = getDiscoveryFilters(core);
+
+  // Leave versions out of the migration by range, tag, date or age
+  const versionFilters = getVersionFilters(core);
+
+  // Bound concurrent migrations across packages and versions
+  const maxConcurrency = getMaxConcurrency(core);
+  const workerPool = createWorkerPool(maxConcurrency);
+
   // Create and return the complete context object
   return {
     ...commonInputs,
     octokitSource,
+    octokitTarget,
     sourceRegistryUrl,
     targetRegistryUrl,
     packageType,
+    statePath,
+    dryRun,
+    maxConcurrency,
+    workerPool,
+    packageMapping,
+    discoveryFilters,
+    versionFilters,
     ...additionalInputs,
   };
 }